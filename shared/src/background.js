@@ -37,7 +37,7 @@ chrome.runtime.onInstalled.addListener((details) => {
 // Ensure background is active on browser startup (Firefox event page needs this)
 chrome.runtime.onStartup.addListener(() => {
   // No-op — registering this listener ensures Firefox starts the event page on browser launch.
-  // The persistCache alarm (below) then keeps it alive.
+  // The pruneCache alarm (below) then keeps it alive.
 });
 
 // Opt-in guard: Sentry only active if user explicitly enabled it
@@ -251,29 +251,38 @@ isSentryEnabled().then(enabled => {
 // ═══════════════════════════════════════════
 
 // ─── CACHE ───
+// In-memory hot layer over the IndexedDB cache stores (see CACHE STORE).
+// Maps are kept in least-recently-used order: oldest entry first.
 const SCRYFALL_CACHE = new Map();
 const CACHE_TTL = 30 * 60 * 1000;
-const CACHE_MAX = 500;
-const CACHE_PERSIST_INTERVAL = 60 * 1000;
-let cacheDirty = false;
+const CACHE_MAX = 500;       // Max entries to keep in memory
+const CACHE_DB_MAX = 5000;   // Max entries to keep in IndexedDB
+const CACHE_TOUCH_INTERVAL = 5 * 60 * 1000; // Throttle lastUsed writes to IndexedDB
+const CACHE_STALE_MAX = 7 * 24 * 60 * 60 * 1000; // Expired lookups are still served (and refreshed) this long
 
 // ─── TCGCSV CACHE ───
 const TCGCSV_CACHE = new Map();
 const TCGCSV_CACHE_TTL = 4 * 60 * 60 * 1000; // 4 hours (prices don't change often)
 const TCGCSV_CACHE_MAX = 30; // Max sets to keep in memory
+const TCGCSV_CACHE_DB_MAX = 100; // Max sets to keep in IndexedDB
 const MTG_CATEGORY_ID = 1;
-let tcgcsvCacheDirty = false;
+let cacheWrites = 0; // IndexedDB cache writes since the last prune
 
 // ─── GLOBAL REQUEST QUEUE ───
-const REQUEST_QUEUE = [];
+const PRIORITY = { HOVER: 0, POPUP: 1, BACKGROUND: 2 };
+const REQUEST_QUEUE = [[], [], []]; // One FIFO per PRIORITY, highest first
 const RATE_MS = 100; // 10 req/s — Scryfall rate limit
 let lastRequest = 0;
 let queueProcessing = false;
-let activeLookupGen = 0;
+let hoverLookup = null; // AbortController of the latest hover lookup
 
 // ─── IN-FLIGHT DEDUPLICATION ───
 const inFlight = new Map();
 
+// ─── PRICE ALERTS ───
+const PRICE_ALERT_CHECK_MINUTES = 24 * 60;
+const PRICE_ALERTS_MAX = 200;
+
 // ─── EXCHANGE RATES ───
 let exchangeRates = null;
 const EXCHANGE_RATE_TTL = 24 * 60 * 60 * 1000;
@@ -281,84 +290,1176 @@ const EXCHANGE_RATE_TTL = 24 * 60 * 60 * 1000;
 // ═══════════════════════════════════════════
 // STARTUP
 // ═══════════════════════════════════════════
-(async function loadPersistentCache() {
+(async function startup() {
   try {
-    // Load Scryfall cache
-    const data = await chrome.storage.local.get(['mtgCache', 'tcgcsvCache']);
-    const now = Date.now();
-    
-    if (data.mtgCache && Array.isArray(data.mtgCache)) {
-      let loaded = 0;
-      for (const [key, entry] of data.mtgCache) {
-        if (entry.ts && (now - entry.ts) < CACHE_TTL) {
-          SCRYFALL_CACHE.set(key, entry);
-          loaded++;
+    // Caches used to be persisted to chrome.storage.local; they now live in IndexedDB
+    await chrome.storage.local.remove(['mtgCache', 'tcgcsvCache']);
+  } catch (e) {
+    console.warn('[MTG-PC] Failed to remove legacy cache:', e.message);
+  }
+  // Prefetch TCGCSV groups and the set index so first lookup doesn't pay the ~300ms penalty
+  getTcgcsvGroups();
+  getSetGroupIndex();
+  syncBracketScript();
+})();
+
+// MV3: chrome.alarms survives service worker termination (setInterval does not)
+chrome.alarms.create('pruneCache', { periodInMinutes: 1 });
+// Only create once — re-creating on every worker wake-up would keep resetting the daily timer
+chrome.alarms.get('checkPriceAlerts').then(alarm => {
+  if (!alarm) chrome.alarms.create('checkPriceAlerts', { periodInMinutes: PRICE_ALERT_CHECK_MINUTES });
+});
+chrome.alarms.get('offlineSync').then(alarm => {
+  if (!alarm) chrome.alarms.create('offlineSync', { periodInMinutes: 24 * 60 });
+});
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'pruneCache') pruneCache();
+  else if (alarm.name === 'checkPriceAlerts') checkPriceAlerts();
+  else if (alarm.name === 'offlineSync') checkOfflineSync();
+});
+
+// ═══════════════════════════════════════════
+// INDEXEDDB
+// One database for everything too large or long-lived for chrome.storage.local.
+// Bump IDB_VERSION and add an `oldVersion < N` block to create new stores.
+// ═══════════════════════════════════════════
+const IDB_NAME = 'mtg-price-checker';
+const IDB_VERSION = 5;
+let idbPromise = null;
+
+function openDb() {
+  if (!idbPromise) {
+    idbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (e.oldVersion < 1) {
+          db.createObjectStore('priceHistory', { keyPath: 'productId' });
+        }
+        if (e.oldVersion < 2) {
+          // Offline card data (see OFFLINE CARD DATA)
+          const cards = db.createObjectStore('cards', { keyPath: 'id' });
+          cards.createIndex('names', '_names', { multiEntry: true });
+          cards.createIndex('setCn', '_setCn');
+          cards.createIndex('tcgplayerId', 'tcgplayer_id');
+        }
+        if (e.oldVersion < 3) {
+          // Lookup and price caches (see CACHE STORE)
+          const scryfall = db.createObjectStore('scryfallCache', { keyPath: 'key' });
+          scryfall.createIndex('ts', 'ts');
+          scryfall.createIndex('lastUsed', 'lastUsed');
+          const groups = db.createObjectStore('tcgcsvGroups', { keyPath: 'groupId' });
+          groups.createIndex('ts', 'ts');
+          groups.createIndex('lastUsed', 'lastUsed');
+          db.createObjectStore('tcgcsvData', { keyPath: 'groupId' });
+        }
+        if (e.oldVersion < 4) {
+          // Cardmarket price guide (see PRICE GUIDES)
+          db.createObjectStore('cardmarketPrices', { keyPath: 'idProduct' });
+        }
+        if (e.oldVersion < 5) {
+          // Card Kingdom pricelist (see PRICE GUIDES)
+          db.createObjectStore('cardkingdomPrices', { keyPath: 'scryfallId' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(e => {
+      idbPromise = null; // Allow retry on next call
+      throw e;
+    });
+  }
+  return idbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ═══════════════════════════════════════════
+// CACHE STORE
+// SCRYFALL_CACHE and TCGCSV_CACHE hold recently used entries in memory.
+// Everything is written through to IndexedDB one entry at a time and read
+// back lazily on a memory miss, so a fresh worker starts with empty Maps.
+// TCGCSV groups keep their product lists in `tcgcsvData` so touching a
+// group only rewrites its small `tcgcsvGroups` record.
+// ═══════════════════════════════════════════
+
+/** Insert or refresh a Map entry as most recently used, evicting the least recently used. */
+function lruSet(map, key, entry, max) {
+  map.delete(key);
+  map.set(key, entry);
+  if (map.size > max) map.delete(map.keys().next().value);
+}
+
+async function cacheDbRead(storeNames, key) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(storeNames, 'readonly');
+    return await Promise.all(storeNames.map(name => idbRequest(tx.objectStore(name).get(key))));
+  } catch (e) {
+    console.warn('[cacheDbRead] Error:', e.message);
+    return storeNames.map(() => undefined);
+  }
+}
+
+async function cacheDbWrite(records) {
+  try {
+    const db = await openDb();
+    const tx = db.transaction(Object.keys(records), 'readwrite');
+    for (const [name, record] of Object.entries(records)) tx.objectStore(name).put(record);
+    await idbTransaction(tx);
+    cacheWrites++;
+  } catch (e) {
+    console.warn('[cacheDbWrite] Error:', e.message);
+  }
+}
+
+/**
+ * Get a cache entry { key, val, ts } younger than `maxAge`, or null.
+ * Falls back to IndexedDB on a memory miss.
+ */
+async function getCacheEntry(key, maxAge) {
+  let entry = SCRYFALL_CACHE.get(key);
+  if (!entry) [entry] = await cacheDbRead(['scryfallCache'], key);
+  if (!entry) return null;
+
+  const now = Date.now();
+  if (now - entry.ts >= maxAge) {
+    if (now - entry.ts >= CACHE_STALE_MAX) SCRYFALL_CACHE.delete(key);
+    return null;
+  }
+  lruSet(SCRYFALL_CACHE, key, entry, CACHE_MAX);
+  if (now - entry.lastUsed > CACHE_TOUCH_INTERVAL) {
+    entry.lastUsed = now;
+    cacheDbWrite({ scryfallCache: entry });
+  }
+  return entry;
+}
+
+/** Get a cached lookup result, or null if missing or expired. */
+async function getCache(key) {
+  const entry = await getCacheEntry(key, CACHE_TTL);
+  return entry ? entry.val : null;
+}
+
+function setCache(key, val) {
+  const now = Date.now();
+  const entry = { key, val, ts: now, lastUsed: now };
+  lruSet(SCRYFALL_CACHE, key, entry, CACHE_MAX);
+  cacheDbWrite({ scryfallCache: entry });
+}
+
+/**
+ * Get a fresh TCGCSV group from memory or IndexedDB without touching the network.
+ * Returns { ts, prices: Map, products: [] } or null.
+ */
+async function getTcgcsvGroup(groupId) {
+  const now = Date.now();
+  let entry = TCGCSV_CACHE.get(groupId);
+  if (entry && now - entry.ts >= TCGCSV_CACHE_TTL) {
+    TCGCSV_CACHE.delete(groupId);
+    return null;
+  }
+
+  if (!entry) {
+    const [meta, data] = await cacheDbRead(['tcgcsvGroups', 'tcgcsvData'], groupId);
+    if (!meta || !data || now - meta.ts >= TCGCSV_CACHE_TTL) return null;
+    entry = {
+      ts: meta.ts,
+      lastUsed: meta.lastUsed,
+      prices: new Map(data.priceEntries),
+      products: data.products || []
+    };
+  }
+
+  lruSet(TCGCSV_CACHE, groupId, entry, TCGCSV_CACHE_MAX);
+  if (now - entry.lastUsed > CACHE_TOUCH_INTERVAL) {
+    entry.lastUsed = now;
+    cacheDbWrite({ tcgcsvGroups: { groupId, ts: entry.ts, lastUsed: now } });
+  }
+  return entry;
+}
+
+function setTcgcsvGroup(groupId, prices, products) {
+  const now = Date.now();
+  const entry = { ts: now, lastUsed: now, prices, products };
+  lruSet(TCGCSV_CACHE, groupId, entry, TCGCSV_CACHE_MAX);
+  cacheDbWrite({
+    tcgcsvGroups: { groupId, ts: now, lastUsed: now },
+    tcgcsvData: { groupId, priceEntries: [...prices.entries()], products }
+  });
+  return entry;
+}
+
+/**
+ * Delete expired entries, then least recently used ones beyond `max`.
+ * `dataStore` holds the payload for stores split into metadata and data.
+ */
+async function pruneCacheStore(storeName, ttl, max, dataStore = null) {
+  const db = await openDb();
+  const names = dataStore ? [storeName, dataStore] : [storeName];
+  const tx = db.transaction(names, 'readwrite');
+  const store = tx.objectStore(storeName);
+
+  const evict = new Set(await idbRequest(
+    store.index('ts').getAllKeys(IDBKeyRange.upperBound(Date.now() - ttl))
+  ));
+  const target = (await idbRequest(store.count())) - max;
+  if (target > evict.size) {
+    // Oldest lastUsed first; may overlap with the expired keys, so fetch enough to cover both
+    const lru = await idbRequest(store.index('lastUsed').getAllKeys(null, target));
+    for (const key of lru) {
+      if (evict.size >= target) break;
+      evict.add(key);
+    }
+  }
+
+  for (const key of evict) {
+    for (const name of names) tx.objectStore(name).delete(key);
+  }
+  await idbTransaction(tx);
+  return evict.size;
+}
+
+async function pruneCache() {
+  if (cacheWrites === 0) return;
+  cacheWrites = 0;
+  try {
+    const removed = await pruneCacheStore('scryfallCache', CACHE_STALE_MAX, CACHE_DB_MAX) +
+      await pruneCacheStore('tcgcsvGroups', CACHE_STALE_MAX, TCGCSV_CACHE_DB_MAX, 'tcgcsvData');
+    if (removed > 0) console.log('[pruneCache] Removed', removed, 'cache entries');
+  } catch (e) {
+    console.warn('[pruneCache] Error:', e.message);
+  }
+}
+
+// ═══════════════════════════════════════════
+// PRICE HISTORY
+// One TCGCSV snapshot per product per day, recorded on every lookup.
+// Outlives TCGCSV_CACHE so trends survive the 4h price cache.
+// ═══════════════════════════════════════════
+const PRICE_HISTORY_MAX_POINTS = 400;  // ~13 months
+const PRICE_HISTORY_SEND_DAYS = 90;    // Longest window shown in the popups
+const PRICE_FIELDS = ['low', 'mid', 'high', 'market', 'lowFoil', 'midFoil', 'highFoil', 'marketFoil'];
+
+/**
+ * Record today's prices for a product and return its recent history.
+ * A second lookup on the same day replaces that day's point.
+ * @returns {Promise<object[]>} Points [{ d: 'YYYY-MM-DD', low, mid, ... }] from the last 90 days, oldest first
+ */
+async function recordPriceHistory(productId, prices) {
+  productId = parseInt(productId);
+  if (!productId) return [];
+
+  const point = { d: new Date().toISOString().slice(0, 10) };
+  for (const f of PRICE_FIELDS) point[f] = prices[f] ?? null;
+
+  try {
+    const db = await openDb();
+    const tx = db.transaction('priceHistory', 'readwrite');
+    const store = tx.objectStore('priceHistory');
+    const entry = (await idbRequest(store.get(productId))) || { productId, points: [] };
+
+    const last = entry.points[entry.points.length - 1];
+    if (last && last.d === point.d) entry.points[entry.points.length - 1] = point;
+    else entry.points.push(point);
+    if (entry.points.length > PRICE_HISTORY_MAX_POINTS) {
+      entry.points = entry.points.slice(-PRICE_HISTORY_MAX_POINTS);
+    }
+    await idbRequest(store.put(entry));
+
+    const cutoff = new Date(Date.now() - PRICE_HISTORY_SEND_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return entry.points.filter(pt => pt.d >= cutoff);
+  } catch (e) {
+    console.warn('[recordPriceHistory] IndexedDB error:', e.message);
+    return [];
+  }
+}
+
+// ═══════════════════════════════════════════
+// OFFLINE CARD DATA
+// Opt-in: Scryfall's default_cards bulk file, streamed into IndexedDB.
+// Card identity (ID/collector/name lookups, printings) is then answered
+// locally — only prices (TCGCSV) still need the network. Refreshed weekly.
+// Status for the settings page lives in chrome.storage.local ('offlineStatus').
+// ═══════════════════════════════════════════
+const OFFLINE_BULK_URL = 'https://api.scryfall.com/bulk-data/default-cards';
+const OFFLINE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const OFFLINE_BATCH = 1000; // Cards per IndexedDB transaction
+const OFFLINE_SCHEMA = 2;   // Bump when slimCard keeps new fields — stored imports are redone
+const OFFLINE_UNNAMED_LAYOUTS = ['token', 'double_faced_token', 'emblem', 'art_series'];
+let offlineMode = false;    // User setting
+let offlineReady = false;   // Setting on AND a complete import in IndexedDB
+let offlineSyncing = false;
+
+(async function initOfflineData() {
+  const { offlineMode: enabled, offlineStatus } = await chrome.storage.local.get(['offlineMode', 'offlineStatus']);
+  offlineMode = enabled === true;
+  offlineReady = offlineMode && offlineStatus?.state === 'ready';
+  // Also resumes an import that was cut short by the worker being terminated
+  if (offlineMode && !offlineImportCurrent(offlineStatus)) syncOfflineData();
+})();
+
+// A complete import, of the current slimCard fields, not yet due for its weekly refresh
+function offlineImportCurrent(offlineStatus) {
+  return offlineStatus?.state === 'ready' && offlineStatus.schema === OFFLINE_SCHEMA &&
+    Date.now() - (offlineStatus.updatedAt || 0) <= OFFLINE_MAX_AGE;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes.offlineMode) return;
+  offlineMode = changes.offlineMode.newValue === true;
+  if (offlineMode) syncOfflineData();
+  else disableOfflineData();
+});
+
+// Lookup keys: lowercase, no punctuation or diacritics ("Lim-Dûl" → "limdul")
+function offlineNameKey(name) {
+  return normCardName(name.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+}
+
+// Keep only what formatCard, findPrinting and handleFetchPrintings read (~1/5 of the raw size)
+function slimCard(card) {
+  const pickImages = imgs => imgs && { small: imgs.small, normal: imgs.normal };
+  const faces = card.card_faces || [];
+  const names = OFFLINE_UNNAMED_LAYOUTS.includes(card.layout)
+    ? []
+    : [...new Set([card.name, ...faces.map(f => f.name)].filter(Boolean).map(offlineNameKey))];
+  return {
+    id: card.id,
+    name: card.name,
+    lang: card.lang,
+    layout: card.layout,
+    set: card.set,
+    set_name: card.set_name,
+    collector_number: card.collector_number,
+    released_at: card.released_at,
+    rarity: card.rarity,
+    type_line: card.type_line,
+    oracle_text: card.oracle_text,
+    colors: card.colors,
+    color_identity: card.color_identity,
+    keywords: card.keywords,
+    legalities: pickLegalities(card.legalities),
+    reserved: card.reserved,
+    game_changer: card.game_changer,
+    edhrec_rank: card.edhrec_rank,
+    digital: card.digital,
+    promo: card.promo,
+    finishes: card.finishes,
+    frame_effects: card.frame_effects,
+    border_color: card.border_color,
+    image_uris: pickImages(card.image_uris),
+    card_faces: faces.length > 0
+      ? faces.map(f => ({ name: f.name, oracle_text: f.oracle_text, colors: f.colors, image_uris: pickImages(f.image_uris) }))
+      : undefined,
+    tcgplayer_id: card.tcgplayer_id,
+    tcgplayer_etched_id: card.tcgplayer_etched_id,
+    cardmarket_id: card.cardmarket_id,
+    prices: card.prices && {
+      usd: card.prices.usd, usd_foil: card.prices.usd_foil, usd_etched: card.prices.usd_etched,
+      eur: card.prices.eur, eur_foil: card.prices.eur_foil
+    },
+    scryfall_uri: card.scryfall_uri,
+    purchase_uris: card.purchase_uris && {
+      cardmarket: card.purchase_uris.cardmarket,
+      tcgplayer: card.purchase_uris.tcgplayer
+    },
+    _names: names,
+    _setCn: `${card.set}:${card.collector_number}`
+  };
+}
+
+/**
+ * Yield the objects of a JSON array as they arrive — the top-level array, or
+ * with `level` 2 an array one object down ({ "data": [ … ] }).
+ * Only the current element is held in memory — the bulk file is several hundred MB.
+ * `onChunk(bytesRead, text)` sees every decoded chunk.
+ */
+async function* streamJsonArray(res, onChunk, level = 1) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  let pos = 0;
+  const open = []; // Brackets enclosing pos
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  let bytes = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      bytes += value.length;
+      const text = decoder.decode(value, { stream: true });
+      if (onChunk) onChunk(bytes, text);
+      buf += text;
+
+      for (; pos < buf.length; pos++) {
+        const c = buf[pos];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (c === '\\') escaped = true;
+          else if (c === '"') inString = false;
+        } else if (c === '"') {
+          inString = true;
+        } else if (c === '{' || c === '[') {
+          if (c === '{' && open.length === level && open[level - 1] === '[') start = pos;
+          open.push(c);
+        } else if (c === '}' || c === ']') {
+          open.pop();
+          if (c === '}' && open.length === level && start >= 0) {
+            yield JSON.parse(buf.slice(start, pos + 1));
+            start = -1;
+          }
         }
       }
-      if (loaded > 0) console.log('[MTG-PC] Loaded', loaded, 'Scryfall cache entries');
+
+      // Drop everything already parsed
+      const keep = start >= 0 ? start : pos;
+      buf = buf.slice(keep);
+      pos -= keep;
+      if (start >= 0) start = 0;
     }
-    
-    // Load TCGCSV cache
-    if (data.tcgcsvCache && Array.isArray(data.tcgcsvCache)) {
-      let loaded = 0;
-      for (const [groupId, entry] of data.tcgcsvCache) {
-        if (entry.ts && (now - entry.ts) < TCGCSV_CACHE_TTL) {
-          // Reconstruct the Map for prices
-          const priceMap = new Map(entry.priceEntries || []);
-          TCGCSV_CACHE.set(groupId, {
-            ts: entry.ts,
-            prices: priceMap,
-            products: entry.products || []
-          });
-          loaded++;
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+async function putOfflineCards(cards) {
+  const db = await openDb();
+  const tx = db.transaction('cards', 'readwrite');
+  const store = tx.objectStore('cards');
+  for (const card of cards) store.put(card);
+  await idbTransaction(tx);
+}
+
+async function clearOfflineCards() {
+  const db = await openDb();
+  const tx = db.transaction('cards', 'readwrite');
+  tx.objectStore('cards').clear();
+  await idbTransaction(tx);
+}
+
+async function syncOfflineData() {
+  if (offlineSyncing) return;
+  offlineSyncing = true;
+  // MV3: extension API calls reset the service worker idle timer during the long import
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20 * 1000);
+  let count = 0;
+
+  try {
+    const bulkRes = await fetch(OFFLINE_BULK_URL);
+    const bulk = bulkRes.ok ? await bulkRes.json() : null;
+    if (!bulk?.download_uri) throw new Error(`Bulk data index error: ${bulkRes.status}`);
+
+    const res = await fetch(bulk.download_uri);
+    if (!res.ok || !res.body) throw new Error(`Bulk data download error: ${res.status}`);
+    const total = bulk.size || parseInt(res.headers.get('content-length')) || 0;
+    console.log(`[syncOfflineData] Downloading ${bulk.download_uri} (${Math.round(total / 1e6)} MB)`);
+
+    // Lookups fall back to the API until the new import is complete
+    offlineReady = false;
+    await clearOfflineCards();
+    let progress = 0;
+    await chrome.storage.local.set({ offlineStatus: { state: 'downloading', progress, count } });
+
+    let batch = [];
+    let bytesRead = 0;
+    for await (const card of streamJsonArray(res, b => { bytesRead = b; })) {
+      if (!offlineMode) break; // Disabled mid-download
+      batch.push(slimCard(card));
+      if (batch.length >= OFFLINE_BATCH) {
+        await putOfflineCards(batch);
+        count += batch.length;
+        batch = [];
+        const pct = total ? Math.floor(bytesRead / total * 100) : 0;
+        if (pct >= progress + 5) {
+          progress = pct;
+          await chrome.storage.local.set({ offlineStatus: { state: 'downloading', progress, count } });
         }
       }
-      if (loaded > 0) console.log('[MTG-PC] Loaded', loaded, 'TCGCSV cache entries');
     }
+    if (!offlineMode) {
+      console.log('[syncOfflineData] Cancelled');
+      return;
+    }
+    if (batch.length > 0) {
+      await putOfflineCards(batch);
+      count += batch.length;
+    }
+
+    offlineReady = true;
+    await chrome.storage.local.set({
+      offlineStatus: {
+        state: 'ready', count, updatedAt: Date.now(), bulkUpdatedAt: bulk.updated_at || null, schema: OFFLINE_SCHEMA
+      }
+    });
+    console.log(`[syncOfflineData] Imported ${count} cards`);
   } catch (e) {
-    console.warn('[MTG-PC] Failed to load persistent cache:', e.message);
+    console.warn('[syncOfflineData] Import failed:', e.message);
+    sentryCaptureException(e, { tags: { type: 'offline_sync' } });
+    await chrome.storage.local.set({ offlineStatus: { state: 'error', count, error: e.message } });
+  } finally {
+    clearInterval(keepAlive);
+    offlineSyncing = false;
   }
-  // Prefetch TCGCSV groups so first lookup doesn't pay the ~300ms penalty
-  getTcgcsvGroups();
-})();
+}
 
-// MV3: chrome.alarms survives service worker termination (setInterval does not)
-chrome.alarms.create('persistCache', { periodInMinutes: 1 });
-chrome.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'persistCache') persistCache();
+async function checkOfflineSync() {
+  if (!offlineMode) return;
+  const { offlineStatus } = await chrome.storage.local.get('offlineStatus');
+  if (!offlineImportCurrent(offlineStatus)) syncOfflineData();
+}
+
+async function disableOfflineData() {
+  offlineReady = false;
+  try {
+    await clearOfflineCards();
+  } catch (e) {
+    console.warn('[disableOfflineData] IndexedDB error:', e.message);
+  }
+  await chrome.storage.local.set({ offlineStatus: { state: 'off' } });
+}
+
+async function offlineCards(indexName, key) {
+  if (!offlineReady) return [];
+  try {
+    const db = await openDb();
+    const store = db.transaction('cards').objectStore('cards');
+    if (!indexName) return [await idbRequest(store.get(key))].filter(Boolean);
+    return await idbRequest(store.index(indexName).getAll(key));
+  } catch (e) {
+    console.warn('[offlineCards] IndexedDB error:', e.message);
+    return [];
+  }
+}
+
+// Paper over digital, regular over promo, then newest — what /cards/named returns
+function defaultPrinting(cards) {
+  const paper = cards.filter(c => !c.digital);
+  const regular = paper.filter(c => !c.promo);
+  const pool = regular.length > 0 ? regular : paper.length > 0 ? paper : cards;
+  return pool.sort((a, b) => (b.released_at || '').localeCompare(a.released_at || ''))[0] || null;
+}
+
+async function offlineById(id) {
+  return (await offlineCards(null, id))[0] || null;
+}
+
+async function offlineByTcgId(id) {
+  return (await offlineCards('tcgplayerId', parseInt(id)))[0] || null;
+}
+
+async function offlineByCollector(setCode, number) {
+  return (await offlineCards('setCn', `${setCode.toLowerCase()}:${number}`))[0] || null;
+}
+
+async function offlineByName(name, setCode = null) {
+  let cards = await offlineCards('names', offlineNameKey(name));
+  if (setCode) {
+    cards = cards.filter(c => c.set === setCode.toLowerCase())
+      .sort((a, b) => safeParseCollectorNum(a.collector_number) - safeParseCollectorNum(b.collector_number));
+  }
+  return setCode ? cards[0] || null : defaultPrinting(cards);
+}
+
+/** All printings of a card from offline data, in Scryfall search order; null if unavailable. */
+async function offlinePrintings(cardName, order) {
+  const cards = await offlineCards('names', offlineNameKey(cardName));
+  if (cards.length === 0) return null;
+  if (order === 'released') {
+    return cards.sort((a, b) => (b.released_at || '').localeCompare(a.released_at || ''));
+  }
+  return cards.sort((a, b) => a.set.localeCompare(b.set) ||
+    safeParseCollectorNum(a.collector_number) - safeParseCollectorNum(b.collector_number));
+}
+
+// ═══════════════════════════════════════════
+// PRICE GUIDES
+// Store price lists published as one file a day, stored in IndexedDB and
+// re-downloaded when a lookup finds them over a day old. Files are streamed
+// row by row (`rowLevel` is the depth of their row array); rows sharing a
+// `key` are folded into one stored entry. Both are large daily downloads, so
+// each is off until turned on in the settings (`setting`); its status for the
+// settings page lives in chrome.storage.local (`statusKey`).
+//   cardmarket  — Cardmarket's price guide, in EUR: avg sell, low, trend and
+//                 1/7/30-day averages, each also for foil. Keyed by idProduct —
+//                 Scryfall's cardmarket_id, or the product hovered on Cardmarket.
+//   cardkingdom — Card Kingdom's pricelist, in USD: what they sell for (retail)
+//                 and pay (buylist). Keyed by Scryfall ID.
+// ═══════════════════════════════════════════
+const PRICE_GUIDE_TTL = 24 * 60 * 60 * 1000;
+const PRICE_GUIDE_BATCH = 5000; // Rows per IndexedDB transaction
+
+const PRICE_GUIDES = {
+  cardmarket: {
+    url: 'https://downloads.s3.cardmarket.com/productCatalog/priceGuide/price_guide_1.json',
+    storeName: 'cardmarketPrices',
+    setting: 'cardmarketPrices',
+    statusKey: 'cardmarketGuide',
+    rowLevel: 2, // { "createdAt": …, "priceGuides": [ … ] }
+    createdAt: /"createdAt"\s*:\s*"([^"]+)"/,
+    key: (row) => row.idProduct ?? null,
+    fold: (entry, row) => slimCardmarketPrices(row)
+  },
+  cardkingdom: {
+    url: 'https://api.cardkingdom.com/api/v2/pricelist',
+    storeName: 'cardkingdomPrices',
+    setting: 'cardkingdomPrices',
+    statusKey: 'cardkingdomGuide',
+    rowLevel: 2, // { "meta": { "created_at": … }, "data": [ … ] }
+    createdAt: /"created_at"\s*:\s*"([^"]+)"/,
+    key: (row) => row.scryfall_id || null,
+    fold: foldCardKingdomRow
+  }
+};
+
+// Runtime state: setting, stored guide status, recently used entries
+for (const [name, guide] of Object.entries(PRICE_GUIDES)) {
+  Object.assign(guide, { name, enabled: false, status: null, syncing: false, cache: new Map() });
+  guide.init = chrome.storage.local.get([guide.setting, guide.statusKey]).then(data => {
+    guide.enabled = data[guide.setting] === true;
+    guide.status = data[guide.statusKey] || null;
+    // Downloaded back when the Cardmarket guide was on by default
+    if (!guide.enabled && guide.status) return disablePriceGuide(guide);
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  for (const guide of Object.values(PRICE_GUIDES)) {
+    if (!changes[guide.setting]) continue;
+    guide.enabled = changes[guide.setting].newValue === true;
+    if (!guide.enabled) disablePriceGuide(guide);
+  }
 });
 
-async function persistCache() {
+// Cardmarket guide fields → card.cardmarket fields; zero means "no data" in the guide
+const CARDMARKET_FIELDS = {
+  avg: 'avg', low: 'low', trend: 'trend', avg1: 'avg1', avg7: 'avg7', avg30: 'avg30',
+  'avg-foil': 'avgFoil', 'low-foil': 'lowFoil', 'trend-foil': 'trendFoil',
+  'avg1-foil': 'avg1Foil', 'avg7-foil': 'avg7Foil', 'avg30-foil': 'avg30Foil'
+};
+
+function slimCardmarketPrices(entry) {
+  const prices = { idProduct: entry.idProduct };
+  for (const [from, to] of Object.entries(CARDMARKET_FIELDS)) {
+    prices[to] = entry[from] > 0 ? entry[from] : null;
+  }
+  return prices;
+}
+
+/**
+ * Fold one Card Kingdom pricelist row (one SKU) into the entry for its
+ * Scryfall ID: { scryfallId, retail, buy, retailFoil, buyFoil }.
+ * `buy` is null while they aren't buying the card.
+ */
+function foldCardKingdomRow(entry, row) {
+  entry = entry || { scryfallId: row.scryfall_id, retail: null, buy: null, retailFoil: null, buyFoil: null };
+  const retail = parseFloat(row.price_retail) || null;
+  const buy = row.qty_buying > 0 ? parseFloat(row.price_buy) || null : null;
+  if (String(row.is_foil) === 'true') Object.assign(entry, { retailFoil: retail, buyFoil: buy });
+  else Object.assign(entry, { retail, buy });
+  return entry;
+}
+
+/**
+ * Store one batch of rows, grouped by key. Keys already written by this sync
+ * (`written`) fold into the stored entry — a card's foil row may arrive
+ * batches after its non-foil one.
+ */
+async function putPriceGuideRows(guide, rowsByKey, written) {
+  const db = await openDb();
+  const tx = db.transaction(guide.storeName, 'readwrite');
+  const store = tx.objectStore(guide.storeName);
+  for (const [key, rows] of rowsByKey) {
+    const put = (entry) => store.put(rows.reduce(guide.fold, entry));
+    if (written.has(key)) store.get(key).onsuccess = (e) => put(e.target.result);
+    else put(undefined);
+    written.add(key);
+  }
+  await idbTransaction(tx);
+}
+
+/** Delete the stored entries a complete sync didn't write — dropped from the guide. */
+async function deleteStalePriceGuideRows(guide, written) {
+  const db = await openDb();
+  const tx = db.transaction(guide.storeName, 'readwrite');
+  const store = tx.objectStore(guide.storeName);
+  let deleted = 0;
+  store.openKeyCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    if (!written.has(cursor.primaryKey)) {
+      store.delete(cursor.primaryKey);
+      deleted++;
+    }
+    cursor.continue();
+  };
+  await idbTransaction(tx);
+  return deleted;
+}
+
+/**
+ * Stream a guide into IndexedDB, overwriting the stored entries batch by
+ * batch, so lookups keep reading yesterday's prices until today's are in.
+ * Entries the new guide no longer has are deleted once it is complete.
+ */
+async function syncPriceGuide(guide) {
+  if (guide.syncing) return;
+  guide.syncing = true;
+  // MV3: keep the service worker alive through the download, as syncOfflineData does
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20 * 1000);
   try {
-    const updates = {};
-    
-    if (cacheDirty) {
-      updates.mtgCache = [...SCRYFALL_CACHE.entries()];
-      cacheDirty = false;
+    const res = await fetch(guide.url);
+    if (!res.ok || !res.body) throw new Error(`Download error: ${res.status}`);
+
+    let head = ''; // Start of the file, for the creation date ahead of the rows
+    const rows = streamJsonArray(res, (bytes, text) => {
+      if (head.length < 1024) head += text;
+    }, guide.rowLevel);
+    const written = new Set();
+    let batch = new Map(); // key → rows
+    let batchRows = 0;
+    for await (const row of rows) {
+      const key = guide.key(row);
+      if (key == null) continue;
+      if (!batch.has(key)) batch.set(key, []);
+      batch.get(key).push(row);
+      if (++batchRows < PRICE_GUIDE_BATCH) continue;
+      if (!guide.enabled) return; // Disabled mid-import
+      await putPriceGuideRows(guide, batch, written);
+      batch = new Map();
+      batchRows = 0;
     }
-    
-    if (tcgcsvCacheDirty) {
-      // Convert TCGCSV cache - need to serialize the price Map
-      const tcgcsvEntries = [];
-      for (const [groupId, entry] of TCGCSV_CACHE.entries()) {
-        tcgcsvEntries.push([groupId, {
-          ts: entry.ts,
-          priceEntries: [...entry.prices.entries()],
-          products: entry.products
-        }]);
-      }
-      updates.tcgcsvCache = tcgcsvEntries;
-      tcgcsvCacheDirty = false;
+    if (!guide.enabled) return;
+    if (batch.size > 0) await putPriceGuideRows(guide, batch, written);
+    if (written.size === 0) throw new Error('Price guide is empty');
+    const stale = await deleteStalePriceGuideRows(guide, written);
+
+    guide.cache.clear();
+    const createdAt = head.match(guide.createdAt)?.[1] || null;
+    guide.status = { state: 'ready', count: written.size, updatedAt: Date.now(), createdAt };
+    await chrome.storage.local.set({ [guide.statusKey]: guide.status });
+    console.log(`[syncPriceGuide] ${guide.name}: imported ${written.size} entries, deleted ${stale} stale`);
+  } catch (e) {
+    console.warn(`[syncPriceGuide] ${guide.name}: import failed:`, e.message);
+    sentryCaptureException(e, { tags: { type: 'price_guide', guide: guide.name } });
+    // Keep serving the previous guide; retry after the next TTL window
+    guide.status = { ...guide.status, state: 'error', error: e.message, updatedAt: Date.now() };
+    await chrome.storage.local.set({ [guide.statusKey]: guide.status });
+  } finally {
+    clearInterval(keepAlive);
+    guide.syncing = false;
+  }
+}
+
+async function disablePriceGuide(guide) {
+  guide.cache.clear();
+  guide.status = null;
+  try {
+    const db = await openDb();
+    const tx = db.transaction(guide.storeName, 'readwrite');
+    tx.objectStore(guide.storeName).clear();
+    await idbTransaction(tx);
+  } catch (e) {
+    console.warn('[disablePriceGuide] IndexedDB error:', e.message);
+  }
+  await chrome.storage.local.remove(guide.statusKey);
+}
+
+/** A guide's entry for `key`, or null. Starts a guide refresh when due. */
+async function getGuidePrices(guide, key) {
+  await guide.init;
+  if (!guide.enabled || key == null) return null;
+  if (!guide.status || Date.now() - guide.status.updatedAt > PRICE_GUIDE_TTL) syncPriceGuide(guide);
+
+  let entry = guide.cache.get(key);
+  if (!entry) {
+    [entry] = await cacheDbRead([guide.storeName], key);
+    if (!entry) return null;
+  }
+  lruSet(guide.cache, key, entry, CACHE_MAX);
+  return entry;
+}
+
+// ═══════════════════════════════════════════
+// CONDITION & LANGUAGE
+// Every price source quotes near-mint English copies (Cardmarket's guide mixes
+// all conditions and languages). Lookups that ask for another condition or
+// language get their prices scaled by a multiplier: condition × language,
+// defaults below, overridden per key in the settings ('conditionMultipliers',
+// 'languageMultipliers'). Languages use Scryfall's codes.
+// ═══════════════════════════════════════════
+const CONDITION_MULTIPLIERS = { NM: 1, LP: 0.85, MP: 0.7, HP: 0.5, DMG: 0.35 };
+const LANGUAGE_MULTIPLIERS = {
+  en: 1, de: 0.9, fr: 0.85, it: 0.85, es: 0.85, pt: 0.8,
+  ja: 1.1, ko: 0.9, ru: 0.85, zhs: 0.85, zht: 0.9
+};
+// Fields scaled in card.prices / card.cardmarket / card.cardkingdom
+const SCALED_PRICE_FIELDS = [
+  ...PRICE_FIELDS, 'usd', 'usdFoil', 'usdEtched', 'eur', 'eurFoil',
+  ...Object.values(CARDMARKET_FIELDS),
+  'retail', 'buy', 'retailFoil', 'buyFoil'
+];
+
+let multiplierOverrides = { conditions: {}, languages: {} };
+const multipliersInit = chrome.storage.local.get(['conditionMultipliers', 'languageMultipliers']).then(data => {
+  multiplierOverrides = { conditions: data.conditionMultipliers || {}, languages: data.languageMultipliers || {} };
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.conditionMultipliers) multiplierOverrides.conditions = changes.conditionMultipliers.newValue || {};
+  if (changes.languageMultipliers) multiplierOverrides.languages = changes.languageMultipliers.newValue || {};
+});
+
+/** Defaults merged with the user's overrides: { conditions, languages } */
+async function getPriceMultipliers() {
+  await multipliersInit;
+  return {
+    conditions: { ...CONDITION_MULTIPLIERS, ...multiplierOverrides.conditions },
+    languages: { ...LANGUAGE_MULTIPLIERS, ...multiplierOverrides.languages }
+  };
+}
+
+function scalePrices(prices, multiplier) {
+  if (!prices) return prices;
+  const scaled = { ...prices };
+  for (const f of SCALED_PRICE_FIELDS) {
+    if (scaled[f] != null) scaled[f] = Math.round(scaled[f] * multiplier * 100) / 100;
+  }
+  return scaled;
+}
+
+/**
+ * Price a lookup result for msg.condition / msg.language (default NM, English).
+ * Adds { condition, language, priceMultiplier } to the card; when the multiplier
+ * isn't 1 the near-mint English prices move to `nmPrices`.
+ */
+async function applyCondition(result, msg) {
+  if (!result?.success) return result;
+  const { conditions, languages } = await getPriceMultipliers();
+  const condition = Object.hasOwn(conditions, msg.condition ?? '') ? msg.condition : 'NM';
+  const language = Object.hasOwn(languages, msg.language ?? '') ? msg.language : 'en';
+  const multiplier = Math.round(conditions[condition] * languages[language] * 1000) / 1000;
+
+  const data = { ...result.data, condition, language, priceMultiplier: multiplier };
+  if (multiplier !== 1) {
+    data.nmPrices = result.data.prices;
+    data.prices = scalePrices(result.data.prices, multiplier);
+    data.cardmarket = scalePrices(result.data.cardmarket, multiplier);
+    data.cardkingdom = scalePrices(result.data.cardkingdom, multiplier);
+  }
+  return { ...result, data };
+}
+
+// ═══════════════════════════════════════════
+// PRICE ALERTS
+// Watchlist lives in chrome.storage.local ('priceAlerts') so both popups
+// can read it directly. Targets are stored in USD (TCGCSV prices);
+// `label` is the target as the user entered it, in their currency.
+// ═══════════════════════════════════════════
+async function getPriceAlerts() {
+  const { priceAlerts } = await chrome.storage.local.get('priceAlerts');
+  return Array.isArray(priceAlerts) ? priceAlerts : [];
+}
+
+async function addPriceAlert(alert) {
+  const card = alert?.card;
+  const target = parseFloat(alert?.target);
+  if (!card?.name || !card.set || !(target > 0)) return { success: false, error: 'Invalid alert' };
+
+  const alerts = await getPriceAlerts();
+  if (alerts.length >= PRICE_ALERTS_MAX) return { success: false, error: `Max ${PRICE_ALERTS_MAX} alerts` };
+
+  alerts.push({
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    // Everything findTcgcsvPrices needs to re-price the card without Scryfall
+    card: {
+      name: card.name,
+      set: card.set,
+      setCode: card.setCode || null,
+      tcgplayerId: card.tcgplayerId || null,
+      finishes: card.finishes || [],
+      frameEffects: card.frameEffects || [],
+      borderColor: card.borderColor || 'black',
+      url: card.links?.tcgplayer || card.links?.scryfall || null
+    },
+    foil: alert.foil === true,
+    direction: alert.direction === 'above' ? 'above' : 'below',
+    target,
+    label: alert.label || `$${target.toFixed(2)}`,
+    lastPrice: alert.currentPrice ?? null,
+    createdAt: Date.now(),
+    lastChecked: null,
+    triggeredAt: null
+  });
+  await chrome.storage.local.set({ priceAlerts: alerts });
+  console.log(`[addPriceAlert] ${card.name} (${card.set}) ${alert.direction} ${target}`);
+  return { success: true, alerts };
+}
+
+async function removePriceAlert(id) {
+  const alerts = (await getPriceAlerts()).filter(a => a.id !== id);
+  await chrome.storage.local.set({ priceAlerts: alerts });
+  return { success: true, alerts };
+}
+
+// Sold price, Avg when there were no sales — same number the popups highlight
+function alertPrice(prices, foil) {
+  if (!prices) return null;
+  return foil ? (prices.marketFoil ?? prices.midFoil) : (prices.market ?? prices.mid);
+}
+
+/**
+ * Re-price every watched card from TCGCSV and notify on threshold crossings.
+ * An alert fires once, then re-arms when the price moves back across the target.
+ */
+async function checkPriceAlerts() {
+  const alerts = await getPriceAlerts();
+  if (alerts.length === 0) return;
+  console.log(`[checkPriceAlerts] Checking ${alerts.length} alerts`);
+
+  const checked = new Map();
+  for (const alert of alerts) {
+    const tcgPrices = await findTcgcsvPrices(alert.card);
+    const price = alertPrice(tcgPrices, alert.foil);
+    if (price == null) continue;
+
+    // Watched cards get a daily history point even if never hovered again
+    await recordPriceHistory(tcgPrices._productId || alert.card.tcgplayerId, tcgPrices);
+
+    const crossed = alert.direction === 'below' ? price <= alert.target : price >= alert.target;
+    let triggeredAt = alert.triggeredAt;
+    if (crossed && !triggeredAt) {
+      notifyPriceAlert(alert, price);
+      triggeredAt = Date.now();
+    } else if (!crossed && triggeredAt) {
+      triggeredAt = null;
     }
-    
-    if (Object.keys(updates).length > 0) {
-      await chrome.storage.local.set(updates);
+    checked.set(alert.id, { lastPrice: price, lastChecked: Date.now(), triggeredAt });
+  }
+
+  // Merge into the latest list — alerts may have been added or removed while checking
+  const latest = await getPriceAlerts();
+  for (const alert of latest) {
+    if (checked.has(alert.id)) Object.assign(alert, checked.get(alert.id));
+  }
+  await chrome.storage.local.set({ priceAlerts: latest });
+}
+
+function notifyPriceAlert(alert, price) {
+  const { card } = alert;
+  chrome.notifications.create(`priceAlert:${alert.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `${card.name}${alert.foil ? ' (Foil)' : ''} is ${alert.direction} ${alert.label}`,
+    message: `${card.set}: now $${price.toFixed(2)} on TCGPlayer`
+  });
+}
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith('priceAlert:')) return;
+  const id = notificationId.slice('priceAlert:'.length);
+  const alert = (await getPriceAlerts()).find(a => a.id === id);
+  if (alert?.card.url) chrome.tabs.create({ url: alert.card.url });
+  chrome.notifications.clear(notificationId);
+});
+
+// ═══════════════════════════════════════════
+// BRACKET SITES
+// Opt-in sites (forums, Discord web, ...) where content.js only scans page
+// text for [[Card Name]] tokens. The popup requests the host permission; once
+// granted, the hostname is stored in 'bracketSites' here (Firefox closes the
+// popup when the permission prompt opens). This keeps one registered content
+// script matching every site that is still granted. Sites saved before they
+// became built-in (manifest content_scripts) are dropped from the list.
+// ═══════════════════════════════════════════
+const BRACKET_SCRIPT_ID = 'bracket-sites';
+let bracketHosts = new Set(); // Hosts the bracket script is registered on
+
+async function syncBracketScript() {
+  try {
+    const { bracketSites = [] } = await chrome.storage.local.get('bracketSites');
+    const builtIn = chrome.runtime.getManifest().content_scripts.flatMap(cs => cs.matches);
+    const extra = bracketSites.filter(host => !builtIn.includes(`https://${host}/*`));
+    if (extra.length < bracketSites.length) {
+      await chrome.storage.local.set({ bracketSites: extra }); // Re-syncs via onChanged
+      return;
+    }
+
+    const matches = [];
+    for (const host of bracketSites) {
+      const origin = `https://${host}/*`;
+      // Permissions can be revoked from the browser's extension settings
+      if (await chrome.permissions.contains({ origins: [origin] })) matches.push(origin);
     }
+
+    bracketHosts = new Set(matches.map(origin => new URL(origin.replace('/*', '/')).hostname));
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [BRACKET_SCRIPT_ID] });
+    if (registered.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [BRACKET_SCRIPT_ID] });
+    if (matches.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([{
+      id: BRACKET_SCRIPT_ID,
+      matches,
+      js: ['src/currency.js', 'src/budget.js', 'src/legality.js', 'src/history.js', 'src/content.js'],
+      css: ['src/content.css'],
+      runAt: 'document_idle'
+    }]);
+    console.log(`[syncBracketScript] Registered on ${matches.length} sites`);
   } catch (e) {
-    console.warn('[MTG-PC] Failed to persist cache:', e.message);
+    console.warn('[syncBracketScript] Failed:', e.message);
   }
 }
 
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.bracketSites) syncBracketScript();
+});
+chrome.permissions.onRemoved.addListener(() => syncBracketScript());
+chrome.permissions.onAdded.addListener(async ({ origins = [] }) => {
+  const hosts = origins.map(o => o.match(/^https:\/\/([^/*]+)\/\*$/)?.[1]).filter(Boolean);
+  if (hosts.length === 0) return;
+  const { bracketSites = [] } = await chrome.storage.local.get('bracketSites');
+  const added = hosts.filter(host => !bracketSites.includes(host));
+  if (added.length > 0) await chrome.storage.local.set({ bracketSites: [...bracketSites, ...added] }); // Syncs via onChanged
+  else syncBracketScript();
+});
+
+// ═══════════════════════════════════════════
+// CONTEXT MENU
+// "Check MTG price" on selected text. Shown in the hover popup when the page
+// has content.js, otherwise handed to the toolbar popup via 'pendingSearch'.
+// Firefox only opens the popup from inside the click handler, before any await.
+// ═══════════════════════════════════════════
+const CONTEXT_MENU_ID = 'checkSelectionPrice';
+const SELECTION_MAX = 150; // Longer selections are not card names
+
+// Hosts of the manifest's content script
+const CONTENT_HOSTS = new Set(chrome.runtime.getManifest().content_scripts
+  .flatMap(cs => cs.matches).map(origin => new URL(origin.replace('/*', '/')).hostname));
+
+function hasContentScript(url) {
+  try {
+    const host = new URL(url).hostname;
+    return CONTENT_HOSTS.has(host) || bracketHosts.has(host);
+  } catch (e) {
+    return false;
+  }
+}
+
+/** Search in the toolbar popup, or badge the icon where the popup can't be opened. */
+function openSearchPopup(cardName) {
+  // Not awaited: the popup reads it on load or picks it up once written
+  chrome.storage.local.set({ pendingSearch: { query: cardName, ts: Date.now() } });
+  chrome.action.openPopup().catch((e) => {
+    // Not every browser lets the background open the popup — point at the icon instead
+    console.log('[contextMenu] openPopup unavailable:', e.message);
+    chrome.action.setBadgeText({ text: '?' });
+  });
+}
+
+async function showSelectionInPage(tab, frameId, cardName) {
+  try {
+    const res = await chrome.tabs.sendMessage(tab.id, { type: 'SHOW_SELECTION_PRICE', cardName }, { frameId });
+    if (res?.shown) return;
+  } catch (e) {
+    // Content script gone (extension reloaded, page still loading)
+  }
+  openSearchPopup(cardName);
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ID,
+      title: 'Check MTG price for "%s"',
+      contexts: ['selection']
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID) return;
+  const cardName = simplify((info.selectionText || '').slice(0, SELECTION_MAX));
+  if (!cardName) return;
+
+  if (tab?.id >= 0 && hasContentScript(info.frameUrl || info.pageUrl)) showSelectionInPage(tab, info.frameId || 0, cardName);
+  else openSearchPopup(cardName);
+});
+
+// ═══════════════════════════════════════════
+// OMNIBOX
+// "mtg <card>" in the address bar: Scryfall autocomplete as suggestions,
+// with the market price when the card's lookup is cached.
+// Entering opens the card on the site chosen in settings ('omniboxTarget').
+// ═══════════════════════════════════════════
+const OMNIBOX_SUGGESTIONS = 6;
+const OMNIBOX_MARKUP = !navigator.userAgent.includes('Firefox'); // Firefox shows descriptions as plain text
+
+function omniboxText(str, tag) {
+  if (!OMNIBOX_MARKUP) return str;
+  const xml = str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return `<${tag}>${xml}</${tag}>`;
+}
+
+async function omniboxDescription(name) {
+  const entry = await getCacheEntry(lookupCacheKey({ cardName: name }), CACHE_STALE_MAX);
+  const p = entry?.val?.success ? entry.val.data.prices : null;
+  if (!p) return omniboxText(name, 'match');
+  const tcg = p.source === 'tcgcsv' ? (p.market ?? p.mid ?? p.marketFoil ?? p.midFoil) : null;
+  const price = tcg ?? p.usd ?? p.usdFoil;
+  const suffix = price != null ? ` · $${price.toFixed(2)}${tcg != null ? ' on TCGPlayer' : ''}` : '';
+  return omniboxText(name, 'match') + (suffix && omniboxText(suffix, 'dim'));
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: 'Check MTG card prices' });
+
+chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
+  const res = await handleSearch(text.trim());
+  const names = (res?.data || []).slice(0, OMNIBOX_SUGGESTIONS);
+  suggest(await Promise.all(names.map(async name => ({
+    content: name,
+    description: await omniboxDescription(name)
+  }))));
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  const cardName = text.trim();
+  if (!cardName) return;
+  const [result, settings] = await Promise.all([
+    handleLookup({ cardName }),
+    chrome.storage.local.get(['omniboxTarget', 'sellerCountry'])
+  ]);
+
+  let url = `https://scryfall.com/search?q=${enc(cardName)}`;
+  if (result.success) {
+    const links = result.data.links;
+    const target = settings.omniboxTarget || 'tcgplayer';
+    url = links[target] || links.scryfall;
+    if (target === 'cardmarket' && links.cardmarket && settings.sellerCountry) {
+      url += (url.includes('?') ? '&' : '?') + 'sellerCountry=' + settings.sellerCountry;
+    }
+  }
+
+  if (disposition === 'currentTab') chrome.tabs.update({ url });
+  else chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+});
+
 // ═══════════════════════════════════════════
 // MESSAGE HANDLER
 // ═══════════════════════════════════════════
@@ -371,21 +1472,69 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return;
   }
   if (msg.type === 'FETCH_CARD_PRICE') {
-    handleLookup(msg).then(sendResponse);
+    handleLookup(msg, sender).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'GET_PRICE_MULTIPLIERS') {
+    getPriceMultipliers().then(multipliers => sendResponse({
+      success: true,
+      ...multipliers,
+      defaults: { conditions: CONDITION_MULTIPLIERS, languages: LANGUAGE_MULTIPLIERS }
+    }));
+    return true;
+  }
+  if (msg.type === 'GET_PRICE_ALERTS') {
+    getPriceAlerts().then(alerts => sendResponse({ success: true, alerts }));
+    return true;
+  }
+  if (msg.type === 'ADD_PRICE_ALERT') {
+    addPriceAlert(msg.alert).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'REMOVE_PRICE_ALERT') {
+    removePriceAlert(msg.id).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'FETCH_SEALED_PRICE') {
+    handleSealedLookup(msg).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'SEARCH_SEALED') {
+    handleSealedSearch(msg.query).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'FETCH_CARD_PRICES_BATCH') {
+    handleBatchLookup(msg.identifiers).then(sendResponse);
     return true;
   }
   if (msg.type === 'SEARCH_CARDS') {
     handleSearch(msg.query).then(sendResponse);
     return true;
   }
+  if (msg.type === 'SEARCH_QUERY') {
+    handleQuerySearch(msg).then(sendResponse);
+    return true;
+  }
   if (msg.type === 'GET_EXCHANGE_RATE') {
     getExchangeRate(msg.currency).then(sendResponse);
     return true;
   }
+  if (msg.type === 'COMPARE_PRINTINGS') {
+    handleComparePrintings(msg.cardName).then(sendResponse);
+    return true;
+  }
+  if (msg.type === 'FETCH_CHEAPEST_PRINTING') {
+    handleCheapestPrinting(msg.cardName).then(sendResponse);
+    return true;
+  }
   if (msg.type === 'FETCH_PRINTINGS') {
     handleFetchPrintings(msg.cardName).then(sendResponse);
     return true;
   }
+  if (msg.type === 'FETCH_BUDGET_ALTERNATIVES') {
+    handleBudgetAlternatives(msg).then(sendResponse);
+    return true;
+  }
 });
 
 /**
@@ -395,23 +1544,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 async function handleFetchPrintings(cardName) {
   if (!cardName) return { success: false, data: [] };
   try {
-    const data = await queuedFetch(
-      `https://api.scryfall.com/cards/search?q=!"${encodeURIComponent(cardName)}"&unique=prints&order=released&dir=desc`
-    );
-    if (!data?.data?.length) return { success: false, data: [] };
-
-    let printings = data.data;
-
-    // Paginate for cards with many printings (basic lands, etc.)
-    if (data.has_more && data.next_page) {
-      let nextUrl = data.next_page;
-      for (let page = 1; page < 5 && nextUrl; page++) {
-        const pageData = await queuedFetch(nextUrl);
-        if (!pageData?.data?.length) break;
-        printings = printings.concat(pageData.data);
-        nextUrl = pageData.has_more ? pageData.next_page : null;
-      }
-    }
+    let printings = await searchPrintings(cardName, 'released', { priority: PRIORITY.POPUP });
+    if (printings.length === 0) return { success: false, data: [] };
 
     // Filter out digital-only printings (MTGO, Arena) — no physical cards, no prices
     printings = printings.filter(c => !c.digital);
@@ -437,7 +1571,7 @@ async function handleFetchPrintings(cardName) {
 async function handleSearch(query) {
   if (!query || query.length < 2) return { success: false, data: [] };
   try {
-    const data = await queuedFetch(`https://api.scryfall.com/cards/autocomplete?q=${enc(query)}`);
+    const data = await queuedFetch(`https://api.scryfall.com/cards/autocomplete?q=${enc(query)}`, { priority: PRIORITY.POPUP });
     if (data) return { success: true, data: data.data || [] };
   } catch (e) {
     console.warn('[handleSearch] Autocomplete error:', e.message);
@@ -518,9 +1652,83 @@ async function getTcgcsvGroups() {
   return tcgcsvGroupsPromise;
 }
 
+// ─── SET → GROUP INDEX ───
+// Scryfall's /sets lists each set's tcgplayer_id, which is the TCGCSV groupId.
+// Stored as { ts, sets: { code: { g: groupId, p: parent set's groupId } }, names: { normName: code } }.
+const SET_INDEX_TTL = 24 * 60 * 60 * 1000;
+let setGroupIndex = null;
+let setGroupIndexPromise = null;
+
+async function getSetGroupIndex() {
+  if (setGroupIndex && Date.now() - setGroupIndex.ts < SET_INDEX_TTL) return setGroupIndex;
+  if (setGroupIndexPromise) return setGroupIndexPromise;
+
+  setGroupIndexPromise = (async () => {
+    try {
+      const stored = (await chrome.storage.local.get('setGroupIndex')).setGroupIndex;
+      if (stored && Date.now() - stored.ts < SET_INDEX_TTL) return (setGroupIndex = stored);
+
+      const res = await fetch('https://api.scryfall.com/sets');
+      if (!res.ok) return setGroupIndex || stored || null;
+      const data = await res.json();
+      const byCode = new Map((data.data || []).map(set => [set.code, set]));
+
+      const index = { ts: Date.now(), sets: {}, names: {} };
+      for (const set of byCode.values()) {
+        const parent = set.parent_set_code ? byCode.get(set.parent_set_code) : null;
+        index.sets[set.code] = { g: set.tcgplayer_id || null, p: parent?.tcgplayer_id || null };
+        index.names[normSetName(set.name)] = set.code;
+      }
+      await chrome.storage.local.set({ setGroupIndex: index });
+      console.log('[getSetGroupIndex] Indexed', Object.keys(index.sets).length, 'sets');
+      return (setGroupIndex = index);
+    } catch (e) {
+      console.warn('[getSetGroupIndex] Error:', e.message);
+      return setGroupIndex;
+    } finally {
+      setGroupIndexPromise = null;
+    }
+  })();
+
+  return setGroupIndexPromise;
+}
+
+async function indexedSet(setName, setCode) {
+  const index = await getSetGroupIndex();
+  if (!index) return null;
+  const code = setCode ? setCode.toLowerCase() : index.names[normSetName(setName || '')];
+  return (code && index.sets[code]) || null;
+}
+
+/**
+ * TCGCSV groupId for a Scryfall set: its tcgplayer_id when /sets has one,
+ * else the fuzzy matchGroup scorer.
+ */
+async function findGroupId(groups, setName, setCode = null) {
+  const set = await indexedSet(setName, setCode);
+  if (set?.g) return set.g;
+  const groupId = matchGroup(groups, setName);
+  console.log(`[findGroupId] No tcgplayer_id for "${setName}"${setCode ? ` (${setCode})` : ''} — fuzzy match: ${groupId}`);
+  return groupId;
+}
+
+/**
+ * Candidate groups for a product ID search: the set's own and its parent's
+ * tcgplayer_id (promo sets are often listed under the main set), then fuzzy matches.
+ */
+async function findCandidateGroups(groups, setName) {
+  const set = await indexedSet(setName, null);
+  const indexed = [set?.g, set?.p].filter(Boolean).map(groupId => ({
+    groupId,
+    name: groups.find(g => g.groupId === groupId)?.name || setName
+  }));
+  return indexed.concat(matchAllGroups(groups, setName));
+}
+
 /**
  * Match a Scryfall set name to a TCGCSV groupId.
  * Uses multi-tier matching: alias → exact → word-overlap scoring.
+ * Fallback for sets without a tcgplayer_id — use findGroupId.
  */
 function matchGroup(groups, scryfallSetName) {
   if (!scryfallSetName || !groups) return null;
@@ -645,14 +1853,56 @@ function matchAllGroups(groups, setName) {
   return results.sort((a, b) => b.score - a.score);
 }
 
+/**
+ * Get prices and products for a TCGCSV group, from cache or network.
+ * Concurrent callers for the same group share one download.
+ * Returns { ts, prices: Map, products: [] } or null.
+ */
+const tcgcsvGroupInFlight = new Map();
+
+async function fetchTcgcsvGroup(groupId) {
+  if (tcgcsvGroupInFlight.has(groupId)) return tcgcsvGroupInFlight.get(groupId);
+
+  const promise = (async () => {
+    try {
+      const cached = await getTcgcsvGroup(groupId);
+      if (cached) return cached;
+
+      const [pricesRes, productsRes] = await Promise.all([
+        fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/prices`),
+        fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/products`)
+      ]);
+
+      if (!pricesRes.ok) return null;
+      const pricesData = await pricesRes.json();
+      if (!pricesData.success || !pricesData.results) return null;
+
+      let products = [];
+      if (productsRes.ok) {
+        const productsData = await productsRes.json();
+        if (productsData.success && productsData.results) products = productsData.results;
+      }
+
+      return setTcgcsvGroup(groupId, buildPriceMap(pricesData.results), products);
+    } catch (e) {
+      console.warn('[fetchTcgcsvGroup] Error:', e.message);
+      return null;
+    }
+  })();
+
+  tcgcsvGroupInFlight.set(groupId, promise);
+  promise.finally(() => tcgcsvGroupInFlight.delete(groupId));
+  return promise;
+}
+
 /**
  * Fetch TCGCSV prices for a specific TCGPlayer productId.
  */
-async function fetchTcgcsvPrices(productId, setName, cardName = null) {
+async function fetchTcgcsvPrices(productId, setName, cardName = null, setCode = null) {
   productId = parseInt(productId);
   if (!productId || !setName) return null;
 
-  // Check cache
+  // Check groups already in memory
   for (const [gid, cached] of TCGCSV_CACHE.entries()) {
     if (Date.now() - cached.ts < TCGCSV_CACHE_TTL && cached.prices.has(productId)) {
       return cached.prices.get(productId);
@@ -662,12 +1912,12 @@ async function fetchTcgcsvPrices(productId, setName, cardName = null) {
   const groups = await getTcgcsvGroups();
   if (!groups) return null;
 
-  const groupId = matchGroup(groups, setName);
+  const groupId = await findGroupId(groups, setName, setCode);
   if (!groupId) return null;
 
   // Check group cache
-  const cached = TCGCSV_CACHE.get(groupId);
-  if (cached && Date.now() - cached.ts < TCGCSV_CACHE_TTL) {
+  const cached = await getTcgcsvGroup(groupId);
+  if (cached) {
     const directMatch = cached.prices.get(productId);
     if (directMatch) return directMatch;
     
@@ -694,36 +1944,11 @@ async function fetchTcgcsvPrices(productId, setName, cardName = null) {
   }
 
   // Fetch prices and products
-  try {
-    const [pricesRes, productsRes] = await Promise.all([
-      fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/prices`),
-      fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/products`)
-    ]);
-    
-    if (!pricesRes.ok) return null;
-    
-    const pricesData = await pricesRes.json();
-    if (!pricesData.success || !pricesData.results) return null;
-
-    let products = [];
-    if (productsRes.ok) {
-      const productsData = await productsRes.json();
-      if (productsData.success && productsData.results) {
-        products = productsData.results;
-      }
-    }
-
-    // Build price map
-    const priceMap = buildPriceMap(pricesData.results);
-
-    // Cache
-    TCGCSV_CACHE.set(groupId, { ts: Date.now(), prices: priceMap, products: products });
-    tcgcsvCacheDirty = true;
-
-    if (TCGCSV_CACHE.size > TCGCSV_CACHE_MAX) {
-      const oldest = TCGCSV_CACHE.keys().next().value;
-      TCGCSV_CACHE.delete(oldest);
-    }
+  try {
+    const group = await fetchTcgcsvGroup(groupId);
+    if (!group) return null;
+    const priceMap = group.prices;
+    const products = group.products;
 
     // Try direct match first
     const directMatch = priceMap.get(productId);
@@ -772,7 +1997,7 @@ async function fetchTcgcsvPricesDirectByProductId(productId, setHints) {
   // Helper to find product object in products array
   const findProduct = (products) => products?.find(p => p.productId === productId) || null;
 
-  // Check all cached groups first
+  // Check all groups already in memory first
   for (const [gid, cached] of TCGCSV_CACHE.entries()) {
     if (Date.now() - cached.ts < TCGCSV_CACHE_TTL && cached.prices.has(productId)) {
       const product = findProduct(cached.products);
@@ -788,15 +2013,15 @@ async function fetchTcgcsvPricesDirectByProductId(productId, setHints) {
 
   for (const hint of setHints) {
     if (!hint) continue;
-    const candidates = matchAllGroups(groups, hint);
+    const candidates = await findCandidateGroups(groups, hint);
 
     for (const { groupId, name: groupName } of candidates) {
       if (triedGroups.has(groupId)) continue;
       triedGroups.add(groupId);
 
       // Check cache for this group
-      const cached = TCGCSV_CACHE.get(groupId);
-      if (cached && Date.now() - cached.ts < TCGCSV_CACHE_TTL) {
+      const cached = await getTcgcsvGroup(groupId);
+      if (cached) {
         if (cached.prices.has(productId)) {
           const product = findProduct(cached.products);
           return { prices: cached.prices.get(productId), product, groupName };
@@ -805,38 +2030,10 @@ async function fetchTcgcsvPricesDirectByProductId(productId, setHints) {
       }
 
       // Fetch this group
-      try {
-        const [pricesRes, productsRes] = await Promise.all([
-          fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/prices`),
-          fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/products`)
-        ]);
-
-        if (!pricesRes.ok) continue;
-        const pricesData = await pricesRes.json();
-        if (!pricesData.success || !pricesData.results) continue;
-
-        let products = [];
-        if (productsRes.ok) {
-          const productsData = await productsRes.json();
-          if (productsData.success && productsData.results) products = productsData.results;
-        }
-
-        // Build price map
-        const priceMap = buildPriceMap(pricesData.results);
-
-        // Cache this group
-        TCGCSV_CACHE.set(groupId, { ts: Date.now(), prices: priceMap, products });
-        tcgcsvCacheDirty = true;
-        if (TCGCSV_CACHE.size > TCGCSV_CACHE_MAX) {
-          TCGCSV_CACHE.delete(TCGCSV_CACHE.keys().next().value);
-        }
-
-        // Check for our product
-        if (priceMap.has(productId)) {
-          const product = findProduct(products);
-          return { prices: priceMap.get(productId), product, groupName };
-        }
-      } catch (e) {
+      const group = await fetchTcgcsvGroup(groupId);
+      if (group && group.prices.has(productId)) {
+        const product = findProduct(group.products);
+        return { prices: group.prices.get(productId), product, groupName };
       }
     }
   }
@@ -917,48 +2114,18 @@ function findProductByNameAndVariant(products, cardName, frameEffects = [], fini
  * Fetch TCGCSV prices by card name when no tcgplayerId is available.
  * Uses variant info to find the correct product.
  */
-async function fetchTcgcsvPricesByName(cardName, setName, frameEffects = [], finishes = [], borderColor = 'black') {
+async function fetchTcgcsvPricesByName(cardName, setName, frameEffects = [], finishes = [], borderColor = 'black', setCode = null) {
   if (!cardName || !setName) return null;
   
   const groups = await getTcgcsvGroups();
   if (!groups) return null;
   
-  const groupId = matchGroup(groups, setName);
+  const groupId = await findGroupId(groups, setName, setCode);
   if (!groupId) return null;
   
-  // Check if we have cached data for this group
-  let cached = TCGCSV_CACHE.get(groupId);
-  
-  if (!cached || Date.now() - cached.ts >= TCGCSV_CACHE_TTL) {
-    // Fetch products and prices
-    try {
-      const [pricesRes, productsRes] = await Promise.all([
-        fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/prices`),
-        fetch(`https://tcgcsv.com/tcgplayer/${MTG_CATEGORY_ID}/${groupId}/products`)
-      ]);
-      
-      if (!pricesRes.ok || !productsRes.ok) return null;
-      
-      const pricesData = await pricesRes.json();
-      const productsData = await productsRes.json();
-      
-      if (!pricesData.success || !productsData.success) return null;
-      
-      // Build price map
-      const priceMap = buildPriceMap(pricesData.results);
-      
-      // Cache
-      cached = { ts: Date.now(), prices: priceMap, products: productsData.results };
-      TCGCSV_CACHE.set(groupId, cached);
-      tcgcsvCacheDirty = true;
-      if (TCGCSV_CACHE.size > TCGCSV_CACHE_MAX) {
-        TCGCSV_CACHE.delete(TCGCSV_CACHE.keys().next().value);
-      }
-    } catch (e) {
-      console.warn('[fetchTcgcsvPricesByName] Error:', e.message);
-      return null;
-    }
-  }
+  // Cached or freshly fetched products and prices for this group
+  const cached = await fetchTcgcsvGroup(groupId);
+  if (!cached) return null;
   
   if (!cached.products || cached.products.length === 0) return null;
   
@@ -985,43 +2152,93 @@ async function fetchTcgcsvPricesByName(cardName, setName, frameEffects = [], fin
 
 // ═══════════════════════════════════════════
 // GLOBAL REQUEST QUEUE
+// Hover lookups go first, then the toolbar popup, then batch pricing and
+// background refreshes. Identical requests share one queue entry.
 // ═══════════════════════════════════════════
 
-function queuedFetch(url) {
-  if (inFlight.has(url)) return inFlight.get(url);
-
-  const promise = new Promise((resolve) => {
-    REQUEST_QUEUE.push({ url, resolve });
+/**
+ * Rate-limited Scryfall fetch. Returns parsed JSON or null.
+ * options.method/body: for POST endpoints (e.g. /cards/collection)
+ * options.priority: PRIORITY.HOVER / POPUP / BACKGROUND (default)
+ * options.signal: AbortSignal of the calling lookup. An aborted caller gets an
+ *   AbortError; other callers sharing the same request are unaffected, and the
+ *   request is dropped from the queue once nobody is waiting for it.
+ */
+function queuedFetch(url, options = {}) {
+  const { method = 'GET', body = null, priority = PRIORITY.BACKGROUND, signal = null } = options;
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  const key = body ? `${method} ${url} ${body}` : url;
+  let req = inFlight.get(key);
+  if (!req) {
+    req = { key, url, method, body, priority, waiters: 0, started: false };
+    req.promise = new Promise(resolve => { req.resolve = resolve; });
+    inFlight.set(key, req);
+    REQUEST_QUEUE[priority].push(req);
     processQueue();
+  } else if (priority < req.priority && !req.started) {
+    // A more urgent caller joined — move the request up
+    removeQueued(req);
+    req.priority = priority;
+    REQUEST_QUEUE[priority].push(req);
+  }
+  req.waiters++;
+
+  if (!signal) return req.promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      leaveRequest(req);
+      reject(abortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    req.promise.then(result => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    });
   });
+}
 
-  inFlight.set(url, promise);
-  promise.finally(() => inFlight.delete(url));
+function abortError() {
+  return new DOMException('Lookup superseded', 'AbortError');
+}
 
-  return promise;
+function removeQueued(req) {
+  const queue = REQUEST_QUEUE[req.priority];
+  const i = queue.indexOf(req);
+  if (i >= 0) queue.splice(i, 1);
 }
 
-// Flush all pending (not-yet-started) queue entries.
-// Called when a new user-initiated lookup starts to prevent stale requests from blocking the queue.
-function flushPendingQueue() {
-  let flushed = 0;
-  while (REQUEST_QUEUE.length > 0) {
-    const req = REQUEST_QUEUE.shift();
-    req.resolve(null);
-    flushed++;
-  }
-  if (flushed > 0) console.log(`[Queue] Flushed ${flushed} pending requests`);
+// Drop a request nobody is waiting for before it uses a rate-limit slot
+function leaveRequest(req) {
+  if (--req.waiters > 0 || req.started) return;
+  removeQueued(req);
+  inFlight.delete(req.key);
+  console.log('[Queue] Dropped abandoned request:', sanitizeUrl(req.url));
+}
+
+function nextRequest() {
+  const queue = REQUEST_QUEUE.find(q => q.length > 0);
+  return queue ? queue.shift() : null;
+}
+
+/** Start a hover lookup, abandoning the previous one's queued requests. */
+function startHoverLookup() {
+  hoverLookup?.abort();
+  hoverLookup = new AbortController();
+  return hoverLookup.signal;
 }
 
 async function processQueue() {
   if (queueProcessing) return;
   queueProcessing = true;
 
-  while (REQUEST_QUEUE.length > 0) {
-    const req = REQUEST_QUEUE.shift();
-
+  while (REQUEST_QUEUE.some(q => q.length > 0)) {
+    // Wait first, then pick — a more urgent request may arrive in the meantime
     const wait = RATE_MS - (Date.now() - lastRequest);
     if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    const req = nextRequest();
+    if (!req) break; // Everything left was abandoned while waiting
+    req.started = true;
     lastRequest = Date.now();
 
     try {
@@ -1030,7 +2247,9 @@ async function processQueue() {
       let lastStatusText = '';
 
       for (let attempt = 0; attempt <= 2; attempt++) {
-        const r = await fetch(req.url);
+        const r = await fetch(req.url, req.body
+          ? { method: req.method, headers: { 'Content-Type': 'application/json' }, body: req.body }
+          : undefined);
         if (r.ok) {
           result = await r.json();
           break;
@@ -1064,6 +2283,7 @@ async function processQueue() {
       });
       req.resolve(null);
     }
+    inFlight.delete(req.key);
   }
 
   queueProcessing = false;
@@ -1071,46 +2291,108 @@ async function processQueue() {
 
 // ═══════════════════════════════════════════
 // MAIN LOOKUP
+// Finished lookups (card + TCGCSV prices) are cached under a `lookup:` key.
+// Requests with `allowStale` get an expired entry back at once, flagged
+// { stale: true, age }, while the lookup reruns in the background and the
+// fresh card is pushed to the tab as CARD_PRICE_UPDATED.
 // ═══════════════════════════════════════════
-async function handleLookup(msg) {
+const revalidating = new Set(); // Lookup keys being refreshed in the background
+
+function lookupCacheKey(msg) {
   const { cardName, tcgplayerId, setHint, setCode, collectorNumber, scryfallId, variant, cardmarketProductId } = msg;
-  
-  // Refinement requests (cardmarketProductId only) should not flush the queue
-  const isRefinement = cardmarketProductId && !setHint && !setCode && !scryfallId && !tcgplayerId;
-  if (!isRefinement) {
-    ++activeLookupGen;
-    flushPendingQueue();
+  return 'lookup:' + JSON.stringify([cardName, tcgplayerId, setHint, setCode, collectorNumber, scryfallId, variant, cardmarketProductId]);
+}
+
+// Hovers come from content scripts; extension pages (toolbar popup etc.) get POPUP priority
+function lookupPriority(msg, sender) {
+  if (msg.background === true) return PRIORITY.BACKGROUND;
+  const fromExtensionPage = sender?.url?.startsWith(chrome.runtime.getURL(''));
+  return sender?.tab && !fromExtensionPage ? PRIORITY.HOVER : PRIORITY.POPUP;
+}
+
+async function handleLookup(msg, sender = null) {
+  const { setHint, setCode, scryfallId, tcgplayerId, cardmarketProductId } = msg;
+  const ctx = { priority: lookupPriority(msg, sender), signal: null };
+  if (ctx.priority === PRIORITY.HOVER) {
+    // Refinement requests (cardmarketProductId only) follow up on the current
+    // hover and share its signal; anything else supersedes it
+    const isRefinement = cardmarketProductId && !setHint && !setCode && !scryfallId && !tcgplayerId;
+    ctx.signal = isRefinement && hoverLookup ? hoverLookup.signal : startHoverLookup();
+  }
+
+  const key = lookupCacheKey(msg);
+  const entry = await getCacheEntry(key, CACHE_STALE_MAX);
+  if (entry) {
+    const age = Date.now() - entry.ts;
+    if (age < CACHE_TTL) return applyCondition(entry.val, msg);
+    if (msg.allowStale) {
+      revalidateLookup(msg, key, sender);
+      return { ...await applyCondition(entry.val, msg), stale: true, age };
+    }
+  }
+  return applyCondition(await resolveLookup(msg, key, ctx), msg);
+}
+
+/** Rerun an expired lookup and send the result to the tab that asked for it. */
+async function revalidateLookup(msg, key, sender) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+  try {
+    const result = await applyCondition(await resolveLookup(msg, key, { priority: PRIORITY.BACKGROUND, signal: null }), msg);
+    if (!result.success || !sender?.tab) return;
+    await chrome.tabs.sendMessage(sender.tab.id, {
+      type: 'CARD_PRICE_UPDATED',
+      requestId: msg.requestId,
+      data: result.data
+    }, { frameId: sender.frameId });
+  } catch (e) {
+    // Tab closed or navigated away — the refreshed result is still cached
+    console.log('[revalidateLookup] Could not deliver update:', e.message);
+  } finally {
+    revalidating.delete(key);
   }
-  const gen = activeLookupGen;
+}
+
+/**
+ * Run a lookup and enrich it with TCGCSV prices.
+ * ctx: { priority, signal } for queuedFetch — see lookupPriority/startHoverLookup.
+ */
+async function resolveLookup(msg, key, ctx) {
+  const { cardName, tcgplayerId, setHint, setCode, collectorNumber, scryfallId, variant, cardmarketProductId } = msg;
 
   let result;
   let overrideTcgPlayerId = null;
 
-  if (scryfallId) {
-    result = await lookupByScryfallId(scryfallId);
-  } else if (tcgplayerId) {
-    result = await lookupByTcgId(tcgplayerId);
-    // Fallback: Scryfall doesn't know all TCGPlayer IDs (e.g. Rainbow Foil variants).
-    // Find the card by name (for image/info), then override tcgplayerId for correct TCGCSV pricing.
-    if (!result.success && cardName && cardName !== 'Unknown') {
-      console.log(`[handleLookup] TCG ID ${tcgplayerId} not found at Scryfall, falling back to name search: "${cardName}"${setHint ? ` [hint: ${setHint}]` : ''}`);
-      result = await lookupByName(cardName, setHint, variant, null);
-      if (result.success) {
-        overrideTcgPlayerId = parseInt(tcgplayerId);
+  try {
+    if (scryfallId) {
+      result = await lookupByScryfallId(scryfallId, ctx);
+    } else if (tcgplayerId) {
+      result = await lookupByTcgId(tcgplayerId, ctx);
+      // Fallback: Scryfall doesn't know all TCGPlayer IDs (e.g. Rainbow Foil variants).
+      // Find the card by name (for image/info), then override tcgplayerId for correct TCGCSV pricing.
+      if (!result.success && cardName && cardName !== 'Unknown') {
+        console.log(`[handleLookup] TCG ID ${tcgplayerId} not found at Scryfall, falling back to name search: "${cardName}"${setHint ? ` [hint: ${setHint}]` : ''}`);
+        result = await lookupByName(cardName, setHint, variant, null, ctx);
+        if (result.success) {
+          overrideTcgPlayerId = parseInt(tcgplayerId);
+        }
       }
+    } else if (setCode && collectorNumber) {
+      result = await lookupByCollector(setCode, collectorNumber, ctx);
+    } else if (setCode && cardName) {
+      result = await lookupByNameAndSet(cardName, setCode, ctx);
+    } else {
+      result = await lookupByName(cardName, setHint, variant, cardmarketProductId, ctx);
     }
-  } else if (setCode && collectorNumber) {
-    result = await lookupByCollector(setCode, collectorNumber);
-  } else if (setCode && cardName) {
-    result = await lookupByNameAndSet(cardName, setCode);
-  } else {
-    result = await lookupByName(cardName, setHint, variant, cardmarketProductId);
+  } catch (e) {
+    if (e.name === 'AbortError') return { success: false, error: 'stale' };
+    throw e;
   }
 
   if (!result.success) return result;
 
   // Bail out if a newer lookup has started (don't waste time on TCGCSV enrichment)
-  if (gen < activeLookupGen) return { success: false, error: 'stale' };
+  if (ctx.signal?.aborted) return { success: false, error: 'stale' };
 
   const card = JSON.parse(JSON.stringify(result.data));
   card.links.ebay = buildEbayLink(card.name, card.set);
@@ -1158,16 +2440,48 @@ async function handleLookup(msg) {
     } catch (e) {
       console.warn('[handleLookup] TCGCSV override enrichment error:', e.message);
     }
-  } else if (card.tcgplayerId && card.set) {
+  } else {
+    tcgPrices = await findTcgcsvPrices(card);
+  }
+
+  if (tcgPrices) {
+    applyTcgPrices(card, tcgPrices);
+    // Name-matched prices carry their own productId (card.tcgplayerId may be absent)
+    if (card.prices.source === 'tcgcsv') {
+      card.priceHistory = await recordPriceHistory(tcgPrices._productId || card.tcgplayerId, tcgPrices);
+    }
+  }
+
+  // Store price guides. The product hovered on Cardmarket beats Scryfall's pick of the printing.
+  const cmId = cardmarketProductId || card.cardmarketId;
+  card.cardmarket = cmId ? await getGuidePrices(PRICE_GUIDES.cardmarket, parseInt(cmId)) : null;
+  card.cardkingdom = await getGuidePrices(PRICE_GUIDES.cardkingdom, card.scryfallId);
+
+  // Rebuild eBay link with potentially enhanced card name/set
+  card.links.ebay = buildEbayLink(card.name, card.set);
+
+  const lookup = { success: true, data: card, printingMatched: result.printingMatched ?? true };
+  setCache(key, lookup);
+  return lookup;
+}
+
+/**
+ * Find TCGCSV prices for a formatted card (productId first, then name/variant).
+ * Shared by handleLookup and handleBatchLookup.
+ */
+async function findTcgcsvPrices(card) {
+  let tcgPrices = null;
+
+  if (card.tcgplayerId && card.set) {
     try {
       // Step 1: Try primary group by productId only (no name fallback).
       // Passing null for cardName prevents fetchTcgcsvPrices from falling back to
       // name matching, which could return prices for the wrong variant (e.g. regular
       // instead of promo).
-      tcgPrices = await fetchTcgcsvPrices(card.tcgplayerId, card.set, null);
+      tcgPrices = await fetchTcgcsvPrices(card.tcgplayerId, card.set, null, card.setCode);
 
       // Step 2: Multi-group search. Promo cards often live in a different TCGCSV group
-      // than matchGroup selects (e.g. Scryfall "Modern Horizons 2 Promos" vs TCGPlayer
+      // than findGroupId selects (e.g. Scryfall "Modern Horizons 2 Promos" vs TCGPlayer
       // "Modern Horizons 2"). Search across all matching groups by productId.
       if (!tcgPrices) {
         const directResult = await fetchTcgcsvPricesDirectByProductId(
@@ -1183,59 +2497,581 @@ async function handleLookup(msg) {
       // TCGCSV group, try matching by card name. This gives "close enough" prices
       // (e.g. regular version prices for a promo) rather than nothing.
       if (!tcgPrices) {
-        tcgPrices = await fetchTcgcsvPrices(card.tcgplayerId, card.set, card.name);
+        tcgPrices = await fetchTcgcsvPrices(card.tcgplayerId, card.set, card.name, card.setCode);
       }
     } catch (e) {
-      console.warn('[handleLookup] TCGCSV price enrichment error:', e.message);
+      console.warn('[findTcgcsvPrices] TCGCSV price enrichment error:', e.message);
     }
   } else if (card.set) {
     try {
       tcgPrices = await fetchTcgcsvPricesByName(
         card.name, card.set,
         card.frameEffects || [], card.finishes || [],
-        card.borderColor || 'black'
+        card.borderColor || 'black', card.setCode
       );
     } catch (e) {
-      console.warn('[handleLookup] TCGCSV name-based price lookup error:', e.message);
+      console.warn('[findTcgcsvPrices] TCGCSV name-based price lookup error:', e.message);
     }
   }
 
-  if (tcgPrices) {
-    card.prices.low = tcgPrices.low;
-    card.prices.mid = tcgPrices.mid;
-    card.prices.high = tcgPrices.high;
-    card.prices.market = tcgPrices.market;
-    card.prices.lowFoil = tcgPrices.lowFoil;
-    card.prices.midFoil = tcgPrices.midFoil;
-    card.prices.highFoil = tcgPrices.highFoil;
-    card.prices.marketFoil = tcgPrices.marketFoil;
+  return tcgPrices;
+}
+
+/** Copy TCGCSV prices onto a formatted card and set the price source. */
+function applyTcgPrices(card, tcgPrices) {
+  card.prices.low = tcgPrices.low;
+  card.prices.mid = tcgPrices.mid;
+  card.prices.high = tcgPrices.high;
+  card.prices.market = tcgPrices.market;
+  card.prices.lowFoil = tcgPrices.lowFoil;
+  card.prices.midFoil = tcgPrices.midFoil;
+  card.prices.highFoil = tcgPrices.highFoil;
+  card.prices.marketFoil = tcgPrices.marketFoil;
+
+  const hasAnyPrice = tcgPrices.low != null || tcgPrices.mid != null ||
+    tcgPrices.market != null || tcgPrices.lowFoil != null ||
+    tcgPrices.midFoil != null || tcgPrices.marketFoil != null;
+
+  card.prices.source = hasAnyPrice ? 'tcgcsv' : 'tcgcsv-no-listings';
+}
+
+function buildEbayLink(name, set) {
+  return `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(`mtg "${name}" "${set}"`)}&_sacat=38292&LH_Auction=1`;
+}
+
+// ═══════════════════════════════════════════
+// BATCH LOOKUP
+// Resolves many cards with as few requests as possible:
+//   1. Cache hits (same keys as the single-card lookups), offline card data
+//   2. Scryfall /cards/collection, 75 identifiers per POST
+//   3. Fuzzy single lookups only for names the collection endpoint didn't know
+//   4. TCGCSV groups downloaded once per set, then every card priced from cache
+// ═══════════════════════════════════════════
+const BATCH_MAX = 1000;
+const COLLECTION_CHUNK = 75;   // Scryfall /cards/collection limit
+const BATCH_FUZZY_MAX = 50;    // Max single-card fallbacks per batch
+const TCGCSV_GROUP_CONCURRENCY = 4;
+
+/**
+ * Look up and price many cards at once.
+ * @param {object[]} identifiers - [{ name, setCode, collectorNumber, scryfallId, tcgplayerId, setHint }]
+ * @returns {{ success: boolean, data: object[] }} One { success, data | error } per identifier, in input order.
+ *   error 'too many': over BATCH_FUZZY_MAX single lookups, not looked up — send it again
+ */
+async function handleBatchLookup(identifiers) {
+  if (!Array.isArray(identifiers) || identifiers.length === 0) return { success: false, data: [] };
+
+  const items = identifiers.slice(0, BATCH_MAX).map(id => ({ id: id || {}, ident: null, result: null }));
+
+  // Step 1: Cache hits, offline data, TCGPlayer IDs (not supported by /cards/collection)
+  const pending = [];
+  for (const item of items) {
+    const key = batchCacheKey(item.id);
+    const cached = key ? await getCache(key) : null;
+    if (cached?.success) {
+      item.result = cached;
+      continue;
+    }
+    const offline = offlineReady ? await offlineCardFor(item.id) : null;
+    if (offline) {
+      item.result = { success: true, data: formatCard(offline) };
+      if (key) setCache(key, item.result);
+      continue;
+    }
+    if (item.id.tcgplayerId && !item.id.scryfallId) {
+      const r = await lookupByTcgId(item.id.tcgplayerId);
+      if (r.success) {
+        item.result = r;
+        continue;
+      }
+    }
+    item.ident = toCollectionIdentifier(item.id);
+    if (item.ident) pending.push(item);
+  }
+
+  // Step 2: Scryfall collection endpoint
+  for (let i = 0; i < pending.length; i += COLLECTION_CHUNK) {
+    const chunk = pending.slice(i, i + COLLECTION_CHUNK);
+    const data = await queuedFetch('https://api.scryfall.com/cards/collection', {
+      method: 'POST',
+      body: JSON.stringify({ identifiers: chunk.map(it => it.ident) }),
+      priority: PRIORITY.BACKGROUND
+    });
+    const cards = data?.data || [];
+    for (const item of chunk) {
+      const card = cards.find(c => matchesCollectionIdentifier(c, item.ident));
+      if (!card) continue;
+      item.result = { success: true, data: formatCard(card) };
+      setCache(batchCacheKey(item.id), item.result);
+    }
+  }
+
+  // Step 3: Single lookups for set-name hints (need findPrinting) and
+  // fuzzy fallback for unresolved names (typos, partial names, "Card - Foil").
+  // Each is a Scryfall round trip or two; the rest come back 'too many' to retry.
+  let fuzzy = 0;
+  for (const item of items) {
+    if (item.result || !item.id.name || item.id.name === 'Unknown') continue;
+    if (++fuzzy > BATCH_FUZZY_MAX) {
+      item.result = { success: false, error: 'too many' };
+      continue;
+    }
+    item.result = item.id.setCode
+      ? await lookupByNameAndSet(item.id.name, item.id.setCode.toLowerCase())
+      : await lookupByName(item.id.name, item.id.setHint || null, null, null);
+  }
 
-    const hasAnyPrice = tcgPrices.low != null || tcgPrices.mid != null ||
-      tcgPrices.market != null || tcgPrices.lowFoil != null ||
-      tcgPrices.midFoil != null || tcgPrices.marketFoil != null;
+  // Step 4: TCGCSV prices — download every needed group once, then price from cache
+  await prefetchTcgcsvGroups(items.filter(it => it.result?.success).map(it => it.result.data));
 
-    card.prices.source = hasAnyPrice ? 'tcgcsv' : 'tcgcsv-no-listings';
+  const data = [];
+  for (const item of items) {
+    if (!item.result?.success) {
+      data.push({ success: false, error: item.result?.error || 'not found' });
+      continue;
+    }
+    data.push({ success: true, data: await withTcgPrices(item.result.data) });
   }
 
-  // Rebuild eBay link with potentially enhanced card name/set
+  return { success: true, data };
+}
+
+/** Download the TCGCSV groups of all given (formatted) cards' sets, a few at a time. */
+async function prefetchTcgcsvGroups(cards) {
+  const groups = await getTcgcsvGroups();
+  if (!groups) return;
+  const sets = new Map(cards.map(card => [card.setCode, card.set]));
+  const groupIds = new Set();
+  for (const [setCode, setName] of sets) {
+    const gid = await findGroupId(groups, setName, setCode);
+    if (gid) groupIds.add(gid);
+  }
+  const queue = [...groupIds];
+  await Promise.all(Array.from({ length: Math.min(TCGCSV_GROUP_CONCURRENCY, queue.length) }, async () => {
+    while (queue.length > 0) await fetchTcgcsvGroup(queue.shift());
+  }));
+}
+
+/** Copy of a formatted card with TCGCSV prices and the eBay link filled in. */
+async function withTcgPrices(data) {
+  const card = JSON.parse(JSON.stringify(data));
+  const tcgPrices = await findTcgcsvPrices(card);
+  if (tcgPrices) applyTcgPrices(card, tcgPrices);
   card.links.ebay = buildEbayLink(card.name, card.set);
+  return card;
+}
+
+// ═══════════════════════════════════════════
+// COMPARE PRINTINGS
+// Every physical printing of a card, priced per finish with TCGCSV (one group
+// download per set) and sorted cheapest first. The toolbar popup shows the
+// whole list. Hovers on cheapestPrinting sites take its first priced row when
+// the list is cached, else TCGCSV-price only the few printings Scryfall's own
+// prices rank cheapest.
+// ═══════════════════════════════════════════
+const COMPARE_MAX_PRINTINGS = 120; // Newest first; caps group downloads for Sol Ring & co.
+const CHEAPEST_CANDIDATES = 3; // Printings priced with TCGCSV for a hover
+
+// Which price fields back each finish (TCGCSV lists etched products as foil)
+const FINISH_PRICES = {
+  nonfoil: { tcg: ['market', 'mid', 'low'], scryfall: 'usd' },
+  foil: { tcg: ['marketFoil', 'midFoil', 'lowFoil'], scryfall: 'usdFoil' },
+  etched: { tcg: ['marketFoil', 'midFoil', 'lowFoil'], scryfall: 'usdEtched' }
+};
+
+function compareCacheKey(cardName) {
+  return `compare:${simplify(cardName).toLowerCase()}`;
+}
 
-  return { success: true, data: card, printingMatched: result.printingMatched ?? true };
+/** Formatted card(s) for one printing — etched is its own TCGPlayer product. */
+function printingEntries(card) {
+  const finishes = card.finishes || [];
+  if (!finishes.includes('etched') || finishes.length === 1 || !card.tcgplayer_etched_id) return [formatCard(card)];
+  return [
+    formatCard({ ...card, finishes: finishes.filter(f => f !== 'etched') }),
+    formatCard({ ...card, finishes: ['etched'] })
+  ];
 }
 
-function buildEbayLink(name, set) {
-  return `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(`mtg "${name}" "${set}"`)}&_sacat=38292&LH_Auction=1`;
+/** One row per finish: { setCode, setName, collectorNumber, rarity, imageSmall, finish, price, source } */
+function printingRows(card) {
+  const p = card.prices;
+  return card.finishes.filter(f => FINISH_PRICES[f]).map(finish => {
+    const { tcg, scryfall } = FINISH_PRICES[finish];
+    const tcgPrice = p.source === 'tcgcsv' ? tcg.map(k => p[k]).find(v => v != null) ?? null : null;
+    return {
+      setCode: card.setCode,
+      setName: card.set,
+      collectorNumber: card.collectorNumber,
+      rarity: card.rarity,
+      imageSmall: card.imageSmall,
+      finish,
+      price: tcgPrice ?? p[scryfall] ?? null,
+      source: tcgPrice != null ? 'tcgcsv' : 'scryfall'
+    };
+  });
+}
+
+// Cheapest first, unpriced rows last
+function byPrice(a, b) {
+  return (a.price ?? Infinity) - (b.price ?? Infinity);
+}
+
+async function handleComparePrintings(cardName, priority = PRIORITY.POPUP) {
+  if (!cardName) return { success: false, data: [] };
+  const key = compareCacheKey(cardName);
+  const cached = await getCache(key);
+  if (cached) return cached;
+
+  try {
+    const printings = (await searchPrintings(cardName, 'released', { priority })).filter(c => !c.digital);
+    if (printings.length === 0) return { success: false, data: [] };
+
+    const cards = printings.slice(0, COMPARE_MAX_PRINTINGS).flatMap(printingEntries);
+    await prefetchTcgcsvGroups(cards);
+    const rows = [];
+    for (const card of cards) rows.push(...printingRows(await withTcgPrices(card)));
+
+    const result = { success: true, data: rows.sort(byPrice), truncated: printings.length > COMPARE_MAX_PRINTINGS };
+    setCache(key, result);
+    return result;
+  } catch (e) {
+    return { success: false, data: [] };
+  }
+}
+
+/** Rows of the printings Scryfall prices cheapest, re-priced with TCGCSV. */
+async function compareCheapestPrintings(cardName) {
+  const key = `cheapest:${simplify(cardName).toLowerCase()}`;
+  const cached = await getCache(key);
+  if (cached) return cached;
+
+  try {
+    const printings = (await searchPrintings(cardName, 'released', { priority: PRIORITY.BACKGROUND })).filter(c => !c.digital);
+    const cards = printings.flatMap(printingEntries)
+      .map(card => ({ card, price: Math.min(...printingRows(card).map(r => r.price ?? Infinity)) }))
+      .filter(c => c.price !== Infinity)
+      .sort((a, b) => a.price - b.price)
+      .slice(0, CHEAPEST_CANDIDATES)
+      .map(c => c.card);
+    if (cards.length === 0) return { success: false, data: [] };
+
+    await prefetchTcgcsvGroups(cards);
+    const rows = [];
+    for (const card of cards) rows.push(...printingRows(await withTcgPrices(card)));
+
+    const result = { success: true, data: rows.sort(byPrice) };
+    setCache(key, result);
+    return result;
+  } catch (e) {
+    return { success: false, data: [] };
+  }
+}
+
+async function handleCheapestPrinting(cardName) {
+  if (!cardName) return { success: false };
+  const compared = await getCache(compareCacheKey(cardName)) || await compareCheapestPrintings(cardName);
+  const cheapest = compared.data.find(r => r.price != null);
+  return cheapest ? { success: true, data: cheapest } : { success: false };
+}
+
+// ═══════════════════════════════════════════
+// BUDGET ALTERNATIVES
+// Cheaper cards that do the same job as an expensive one. The job is read
+// from the rules text as a Scryfall oracle tag (otag:removal, otag:ramp, …),
+// else taken from the card's keywords; matches keep the main card type and
+// stay inside the color identity. Scryfall's most played matches are priced
+// with TCGCSV and those under the threshold returned cheapest first.
+// ═══════════════════════════════════════════
+const BUDGET_CANDIDATES = 20; // Search results priced per card
+const BUDGET_RESULTS = 5;
+
+// Checked in order — narrower jobs before broader ones
+const FUNCTION_TAGS = [
+  ['counterspell', /\bcounter target (?:\w+ )*?spell\b/i],
+  ['board-wipe', /\b(?:destroy|exile) all (?:other )?(?:creatures|nonland permanents)\b|\ball (?:other )?creatures get -\d+\/-\d+/i],
+  ['removal', /\b(?:destroy|exile) target (?:\w+ )*?(?:creature|permanent|planeswalker|artifact|enchantment)\b|\bdeals (?:\d+|X) damage to (?:any target|target (?:\w+ )*?creature)/i],
+  ['tutor', /\bsearch your library for an? (?!basic land|land)[^.]*?card\b/i],
+  ['ramp', /\bsearch your library for (?:an?|up to \w+) (?:basic )?lands?\b|\{T\}: Add\b/i],
+  ['card-advantage', /\bdraws? (?:two|three|four|X|that many) cards\b|\bdraw a card for each\b|\bwhenever [^.]*?\bdraws? a card\b/i]
+];
+
+const MAIN_TYPES = ['creature', 'planeswalker', 'battle', 'land', 'artifact', 'enchantment', 'instant', 'sorcery'];
+
+/** Main type of the front face: "Legendary Artifact Creature — Golem" → "creature" */
+function mainCardType(typeLine) {
+  const front = (typeLine || '').split('//')[0].split('—')[0].toLowerCase();
+  return MAIN_TYPES.find(t => front.includes(t)) || null;
+}
+
+/** Scryfall oracle tag for what the card does, or null */
+function functionTag(oracleText, type) {
+  if (type === 'artifact' && /\{T\}: Add\b/.test(oracleText)) return 'mana-rock';
+  return FUNCTION_TAGS.find(([, re]) => re.test(oracleText))?.[0] || null;
+}
+
+/**
+ * Scryfall query for cards doing the same job under `maxPrice` USD, or null
+ * when nothing describes the job (lands, vanilla creatures).
+ */
+function budgetQuery(card, maxPrice) {
+  const type = mainCardType(card.typeLine);
+  if (type === 'land') return null;
+  const tag = functionTag(card.oracleText || '', type);
+  const keywords = (card.keywords || []).slice(0, 2);
+  if (!tag && keywords.length === 0) return null;
+
+  const parts = tag ? [`otag:${tag}`] : keywords.map(k => `keyword:"${k}"`);
+  if (type === 'instant' || type === 'sorcery') parts.push('(t:instant or t:sorcery)');
+  else if (type) parts.push(`t:${type}`);
+  // Unknown for cached lookups and offline data saved before it was stored
+  if (card.colorIdentity) {
+    parts.push(card.colorIdentity.length ? `id<=${card.colorIdentity.join('').toLowerCase()}` : 'id:c');
+  }
+  parts.push(`-!"${card.name.replace(/"/g, '')}"`, `usd<${maxPrice}`, 'game:paper');
+  return parts.join(' ');
+}
+
+/**
+ * Cheaper functional alternatives for one card.
+ * @param {object} msg - { card: { name, typeLine, oracleText, colorIdentity, keywords }, maxPrice: USD }
+ * @returns {{ success, data: [{ name, setCode, imageSmall, price, link }] }} — price in USD
+ */
+async function handleBudgetAlternatives(msg) {
+  const card = msg.card;
+  const maxPrice = Math.round(msg.maxPrice * 100) / 100;
+  if (!card?.name || !(maxPrice > 0)) return { success: false, data: [] };
+  const query = budgetQuery(card, maxPrice);
+  if (!query) return { success: false, data: [] };
+
+  const key = `budget:${simplify(card.name).toLowerCase()}:${maxPrice}`;
+  const cached = await getCache(key);
+  if (cached) return cached;
+
+  try {
+    const list = await queuedFetch(`https://api.scryfall.com/cards/search?q=${enc(query)}&order=edhrec`);
+    if (!list?.data) return { success: true, data: [] }; // 404 = no matches
+
+    const cards = list.data.filter(c => !c.digital).slice(0, BUDGET_CANDIDATES).map(formatCard);
+    await prefetchTcgcsvGroups(cards);
+    const data = [];
+    for (const c of cards) {
+      const priced = await withTcgPrices(c);
+      const price = printingRows(priced).find(r => r.finish === 'nonfoil')?.price;
+      if (price == null || price >= maxPrice) continue;
+      data.push({ name: priced.name, setCode: priced.setCode, imageSmall: priced.imageSmall, price, link: priced.links.scryfall });
+    }
+
+    const result = { success: true, data: data.sort(byPrice).slice(0, BUDGET_RESULTS) };
+    setCache(key, result);
+    return result;
+  } catch (e) {
+    console.warn('[handleBudgetAlternatives] Error:', e.message);
+    return { success: false, data: [] };
+  }
+}
+
+// ═══════════════════════════════════════════
+// QUERY SEARCH
+// Full Scryfall syntax ("t:dragon c:r usd<5") from the toolbar popup.
+// Scryfall pages hold 175 cards; they are handed out SEARCH_PAGE_SIZE rows
+// at a time so only the visible rows' TCGCSV groups need downloading.
+// The cursor ({ url, offset }) follows Scryfall's next_page.
+// ═══════════════════════════════════════════
+const SEARCH_PAGE_SIZE = 25;
+const SEARCH_ORDERS = ['name', 'usd', 'eur', 'released', 'edhrec'];
+let lastSearchPage = null; // { url, list } — the Scryfall page being paged through
+
+/**
+ * One page of results for a Scryfall query, priced like a batch lookup.
+ * @param {object} msg - { query, order, dir } for a new search, or { cursor } for the next page
+ * @returns {{ success, data: object[], total, cursor, error? }}
+ */
+async function handleQuerySearch(msg) {
+  let { url, offset } = msg.cursor || {};
+  if (!url) {
+    if (!msg.query?.trim()) return { success: false, data: [] };
+    const order = SEARCH_ORDERS.includes(msg.order) ? msg.order : 'name';
+    const dir = msg.dir === 'desc' ? 'desc' : 'asc';
+    url = `https://api.scryfall.com/cards/search?q=${enc(msg.query.trim())}&order=${order}&dir=${dir}`;
+    offset = 0;
+  }
+  if (!url.startsWith('https://api.scryfall.com/cards/search?')) return { success: false, data: [] };
+
+  let list = lastSearchPage?.url === url ? lastSearchPage.list : null;
+  if (!list) {
+    list = await queuedFetch(url, { priority: PRIORITY.POPUP });
+    if (!list?.data) return { success: false, data: [], error: 'No cards found — check the query syntax' };
+    lastSearchPage = { url, list };
+  }
+
+  const cards = list.data.slice(offset, offset + SEARCH_PAGE_SIZE).map(formatCard);
+  const nextOffset = offset + SEARCH_PAGE_SIZE;
+  const cursor = nextOffset < list.data.length ? { url, offset: nextOffset }
+    : list.has_more ? { url: list.next_page, offset: 0 }
+    : null;
+
+  await prefetchTcgcsvGroups(cards);
+  const data = [];
+  for (const card of cards) data.push(await withTcgPrices(card));
+  return { success: true, data, total: list.total_cards, cursor };
+}
+
+/** Offline equivalent of the /cards/collection match for one identifier. */
+async function offlineCardFor(id) {
+  if (id.scryfallId) return offlineById(id.scryfallId);
+  if (id.tcgplayerId) return offlineByTcgId(id.tcgplayerId);
+  if (id.setCode && id.collectorNumber) return offlineByCollector(String(id.setCode), String(id.collectorNumber));
+  if (id.name && !id.setHint) return offlineByName(simplify(id.name), id.setCode ? String(id.setCode) : null);
+  return null;
+}
+
+/** Cache key matching the single-card lookup for the same identifier. */
+function batchCacheKey(id) {
+  const setCode = id.setCode ? String(id.setCode).toLowerCase() : '';
+  if (id.scryfallId) return `sf:${id.scryfallId}`;
+  if (setCode && id.collectorNumber) return `col:${setCode}:${id.collectorNumber}`;
+  if (setCode && id.name) return `set:${setCode}:${id.name}`;
+  if (id.name) return `name:${simplify(id.name)}:${id.setHint || ''}:`;
+  return null;
+}
+
+/** Convert a batch identifier to a Scryfall /cards/collection identifier. */
+function toCollectionIdentifier(id) {
+  const setCode = id.setCode ? String(id.setCode).toLowerCase() : '';
+  if (id.scryfallId) return { id: id.scryfallId };
+  if (setCode && id.collectorNumber) return { set: setCode, collector_number: String(id.collectorNumber) };
+  if (setCode && id.name) return { name: simplify(id.name), set: setCode };
+  if (id.setHint) return null; // Set name, not code — resolved via findPrinting in step 3
+  if (id.name && id.name !== 'Unknown') return { name: simplify(id.name) };
+  return null;
+}
+
+function matchesCollectionIdentifier(card, ident) {
+  if (ident.id) return card.id === ident.id;
+  if (ident.collector_number) return card.set === ident.set && card.collector_number === ident.collector_number;
+  if (ident.set && card.set !== ident.set) return false;
+  const target = normCardName(ident.name);
+  return normCardName(card.name) === target ||
+    (card.card_faces || []).some(f => normCardName(f.name || '') === target);
+}
+
+// ═══════════════════════════════════════════
+// SEALED PRODUCTS
+// Booster boxes, bundles, precons etc. come in the same TCGCSV /products and
+// /prices feeds as singles; they are the products without a Number or Rarity.
+// Groups are found by matching the set name inside the product name.
+// ═══════════════════════════════════════════
+const SEALED_GROUP_CANDIDATES = 4; // Groups searched per query
+const SEALED_SEARCH_MAX = 8;
+const SEALED_MIN_SCORE = 0.5;
+
+function isSealedProduct(product) {
+  return !(product.extendedData || []).some(d => d.name === 'Number' || d.name === 'Rarity');
+}
+
+// Same bidirectional word overlap as matchGroup, applied to product names
+function sealedScore(queryWords, productName) {
+  const words = getSetWords(productName);
+  if (words.length === 0 || queryWords.length === 0) return 0;
+  const coverage = queryWords.filter(w => words.includes(w)).length / queryWords.length;
+  const precision = words.filter(w => queryWords.includes(w)).length / words.length;
+  return (coverage + precision) / 2;
+}
+
+/**
+ * Best matching sealed products for a free-text query ("Bloomburrow Play Booster Box").
+ * @returns {Promise<object[]>} [{ product, prices, groupName, score }], best first
+ */
+async function searchSealed(query, limit = SEALED_SEARCH_MAX) {
+  const groups = await getTcgcsvGroups();
+  if (!groups || !query) return [];
+
+  const queryWords = getSetWords(query);
+  const candidates = matchAllGroups(groups, query).slice(0, SEALED_GROUP_CANDIDATES);
+  const matches = [];
+  for (const { groupId, name: groupName } of candidates) {
+    const group = await fetchTcgcsvGroup(groupId);
+    if (!group) continue;
+    for (const product of group.products) {
+      if (!isSealedProduct(product)) continue;
+      const score = sealedScore(queryWords, product.name);
+      if (score < SEALED_MIN_SCORE) continue;
+      matches.push({ product, prices: group.prices.get(product.productId) || null, groupName, score });
+    }
+  }
+  return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Price one sealed product, by TCGPlayer product ID when known, else by name.
+ * Returns the same shape as a card lookup (see formatSealed).
+ */
+async function handleSealedLookup(msg) {
+  const { name, tcgplayerId } = msg;
+  let match = null;
+  if (tcgplayerId) {
+    const r = await fetchTcgcsvPricesDirectByProductId(tcgplayerId, [name]);
+    if (r?.product) {
+      // Hits from groups already in memory come back without a group name
+      const groupName = r.groupName ||
+        (await getTcgcsvGroups())?.find(g => g.groupId === r.product.groupId)?.name || '';
+      match = { product: r.product, prices: r.prices, groupName };
+    }
+  }
+  if (!match) [match] = await searchSealed(name, 1);
+  if (!match) return { success: false, error: `"${name}" not found` };
+
+  const data = formatSealed(match);
+  if (data.prices.source === 'tcgcsv') {
+    data.priceHistory = await recordPriceHistory(match.product.productId, data.prices);
+  }
+  return { success: true, data };
+}
+
+async function handleSealedSearch(query) {
+  if (!query || query.length < 3) return { success: false, data: [] };
+  const matches = await searchSealed(query);
+  return { success: matches.length > 0, data: matches.map(formatSealed) };
+}
+
+function formatSealed({ product, prices, groupName }) {
+  const name = product.cleanName || product.name;
+  const card = {
+    sealed: true,
+    name,
+    set: groupName,
+    setCode: '',
+    typeLine: 'Sealed product',
+    imageSmall: safeUrl(product.imageUrl),
+    tcgplayerId: product.productId,
+    finishes: ['nonfoil'],
+    prices: {
+      low: null, mid: null, high: null, market: null,
+      lowFoil: null, midFoil: null, highFoil: null, marketFoil: null,
+      usd: null, usdFoil: null, usdEtched: null, eur: null, eurFoil: null,
+      source: 'tcgcsv-no-listings'
+    },
+    links: {
+      scryfall: '',
+      cardmarket: `https://www.cardmarket.com/en/Magic/Products/Search?searchString=${enc(name)}`,
+      tcgplayer: safeUrl(product.url) || `https://www.tcgplayer.com/product/${product.productId}`,
+      ebay: buildEbayLink(name, groupName)
+    }
+  };
+  if (prices) applyTcgPrices(card, prices);
+  return card;
 }
 
 // ═══════════════════════════════════════════
 // LOOKUP STRATEGIES
 // ═══════════════════════════════════════════
 
-async function lookupByTcgId(id) {
+async function lookupByTcgId(id, ctx = {}) {
   const key = `tcg:${id}`;
-  const cached = getCache(key);
+  const cached = await getCache(key);
   if (cached) return cached;
-  const card = await queuedFetch(`https://api.scryfall.com/cards/tcgplayer/${id}`);
+  const card = await offlineByTcgId(id) || await queuedFetch(`https://api.scryfall.com/cards/tcgplayer/${id}`, ctx);
   const result = card
     ? { success: true, data: formatCard(card) }
     : { success: false, error: `TCG ID ${id} not found` };
@@ -1243,11 +3079,11 @@ async function lookupByTcgId(id) {
   return result;
 }
 
-async function lookupByScryfallId(id) {
+async function lookupByScryfallId(id, ctx = {}) {
   const key = `sf:${id}`;
-  const cached = getCache(key);
+  const cached = await getCache(key);
   if (cached) return cached;
-  const card = await queuedFetch(`https://api.scryfall.com/cards/${encodeURIComponent(id)}`);
+  const card = await offlineById(id) || await queuedFetch(`https://api.scryfall.com/cards/${encodeURIComponent(id)}`, ctx);
   const result = card
     ? { success: true, data: formatCard(card) }
     : { success: false, error: `Scryfall ID ${id} not found` };
@@ -1255,11 +3091,12 @@ async function lookupByScryfallId(id) {
   return result;
 }
 
-async function lookupByCollector(setCode, number) {
+async function lookupByCollector(setCode, number, ctx = {}) {
   const key = `col:${setCode}:${number}`;
-  const cached = getCache(key);
+  const cached = await getCache(key);
   if (cached) return cached;
-  const card = await queuedFetch(`https://api.scryfall.com/cards/${encodeURIComponent(setCode)}/${encodeURIComponent(number)}`);
+  const card = await offlineByCollector(setCode, number) ||
+    await queuedFetch(`https://api.scryfall.com/cards/${encodeURIComponent(setCode)}/${encodeURIComponent(number)}`, ctx);
   const result = card
     ? { success: true, data: formatCard(card) }
     : { success: false, error: `${setCode}/${number} not found` };
@@ -1267,20 +3104,21 @@ async function lookupByCollector(setCode, number) {
   return result;
 }
 
-async function lookupByNameAndSet(name, setCode) {
+async function lookupByNameAndSet(name, setCode, ctx = {}) {
   const key = `set:${setCode}:${name}`;
-  const cached = getCache(key);
+  const cached = await getCache(key);
   if (cached) return cached;
-  let card = await queuedFetch(`https://api.scryfall.com/cards/named?fuzzy=${enc(name)}&set=${enc(setCode)}`);
+  let card = await offlineByName(simplify(name), setCode) ||
+    await queuedFetch(`https://api.scryfall.com/cards/named?fuzzy=${enc(name)}&set=${enc(setCode)}`, ctx);
   if (!card) {
-    const searchData = await queuedFetch(`https://api.scryfall.com/cards/search?q=${enc(`!"${name}" e:${setCode}`)}&order=released&dir=desc`);
+    const searchData = await queuedFetch(`https://api.scryfall.com/cards/search?q=${enc(`!"${name}" e:${setCode}`)}&order=released&dir=desc`, ctx);
     card = searchData?.data?.[0] || null;
   }
   if (!card) {
-    const searchData = await queuedFetch(`https://api.scryfall.com/cards/search?q=${enc(`${name} e:${setCode}`)}&order=released&dir=desc`);
+    const searchData = await queuedFetch(`https://api.scryfall.com/cards/search?q=${enc(`${name} e:${setCode}`)}&order=released&dir=desc`, ctx);
     card = searchData?.data?.[0] || null;
   }
-  if (!card) card = await queuedFetch(`https://api.scryfall.com/cards/named?fuzzy=${enc(name)}`);
+  if (!card) card = await queuedFetch(`https://api.scryfall.com/cards/named?fuzzy=${enc(name)}`, ctx);
   const result = card
     ? { success: true, data: formatCard(card) }
     : { success: false, error: `"${name}" not found in ${setCode}` };
@@ -1288,17 +3126,17 @@ async function lookupByNameAndSet(name, setCode) {
   return result;
 }
 
-async function lookupByName(name, setHint, variant, cardmarketProductId) {
+async function lookupByName(name, setHint, variant, cardmarketProductId, ctx = {}) {
   const cleaned = simplify(name);
   
   // If we have a Cardmarket product ID, try direct lookup first (most precise)
   if (cardmarketProductId) {
     const key = `cm:${cardmarketProductId}`;
-    const cached = getCache(key);
+    const cached = await getCache(key);
     if (cached) return cached;
     
     try {
-      const r = await fetch(`https://api.scryfall.com/cards/cardmarket/${cardmarketProductId}`);
+      const r = await fetch(`https://api.scryfall.com/cards/cardmarket/${cardmarketProductId}`, { signal: ctx.signal });
       if (r.ok) {
         const cmCard = await r.json();
         console.log(`[lookupByName] Exact match via Cardmarket product ID ${cardmarketProductId}: "${cmCard.set_name}" #${cmCard.collector_number}`);
@@ -1307,15 +3145,16 @@ async function lookupByName(name, setHint, variant, cardmarketProductId) {
         return result;
       }
     } catch (e) {
+      if (e.name === 'AbortError') throw e;
       console.warn('[lookupByName] Cardmarket product ID lookup error:', e.message);
     }
   }
   
   const key = `name:${cleaned}:${setHint || ''}:${variant || ''}`;
-  const cached = getCache(key);
+  const cached = await getCache(key);
   if (cached) return cached;
 
-  const card = await queuedFetch(`https://api.scryfall.com/cards/named?fuzzy=${enc(cleaned)}`);
+  const card = await offlineByName(cleaned) || await queuedFetch(`https://api.scryfall.com/cards/named?fuzzy=${enc(cleaned)}`, ctx);
   if (!card) {
     const result = { success: false, error: `"${cleaned}" not found` };
     setCache(key, result);
@@ -1325,7 +3164,7 @@ async function lookupByName(name, setHint, variant, cardmarketProductId) {
   let match = card;
   let printingMatched = false;
   if (setHint) {
-    const printing = await findPrinting(card.name, setHint, variant);
+    const printing = await findPrinting(card.name, setHint, variant, ctx);
     if (printing) {
       match = printing;
       printingMatched = true;
@@ -1340,29 +3179,43 @@ async function lookupByName(name, setHint, variant, cardmarketProductId) {
 // ═══════════════════════════════════════════
 // FIND SPECIFIC PRINTING
 // ═══════════════════════════════════════════
-async function findPrinting(cardName, setHint, variant) {
+/**
+ * All printings of a card (exact name match), from offline data if available,
+ * else Scryfall search. order: 'released' (newest first) or 'set'.
+ */
+async function searchPrintings(cardName, order, ctx = {}) {
+  const offline = await offlinePrintings(cardName, order);
+  if (offline) return offline;
+
+  const dir = order === 'released' ? '&dir=desc' : '';
+  const data = await queuedFetch(`https://api.scryfall.com/cards/search?q=!"${encodeURIComponent(cardName)}"&unique=prints&order=${order}${dir}`, ctx);
+  if (!data?.data?.length) return [];
+
+  let printings = data.data;
+
+  // Paginate if first page didn't contain all results.
+  // Only relevant for cards with 175+ printings (basic lands, Lightning Bolt, etc.)
+  if (data.has_more && data.next_page) {
+    let nextUrl = data.next_page;
+    const MAX_PAGES = 5;
+    for (let page = 1; page < MAX_PAGES && nextUrl; page++) {
+      const pageData = await queuedFetch(nextUrl, ctx);
+      if (!pageData?.data?.length) break;
+      printings = printings.concat(pageData.data);
+      nextUrl = pageData.has_more ? pageData.next_page : null;
+    }
+  }
+  return printings;
+}
+
+async function findPrinting(cardName, setHint, variant, ctx = {}) {
   try {
-    const data = await queuedFetch(`https://api.scryfall.com/cards/search?q=!"${encodeURIComponent(cardName)}"&unique=prints&order=set`);
-    if (!data?.data?.length) {
+    const printings = await searchPrintings(cardName, 'set', ctx);
+    if (printings.length === 0) {
       console.log('[findPrinting] No printings found for:', cardName);
       return null;
     }
 
-    let printings = data.data;
-
-    // Paginate if first page didn't contain all results.
-    // Only relevant for cards with 175+ printings (basic lands, Lightning Bolt, etc.)
-    if (data.has_more && data.next_page) {
-      let nextUrl = data.next_page;
-      const MAX_PAGES = 5;
-      for (let page = 1; page < MAX_PAGES && nextUrl; page++) {
-        const pageData = await queuedFetch(nextUrl);
-        if (!pageData?.data?.length) break;
-        printings = printings.concat(pageData.data);
-        nextUrl = pageData.has_more ? pageData.next_page : null;
-      }
-    }
-
     console.log(`[findPrinting] Found ${printings.length} printings for "${cardName}", hint: "${setHint}"`);
     
     // Basic normalization: remove punctuation, lowercase, collapse spaces
@@ -1588,6 +3441,7 @@ async function findPrinting(cardName, setHint, variant) {
     
     console.log('[findPrinting] No match found for hint:', setHint);
   } catch (e) {
+    if (e.name === 'AbortError') throw e;
     console.error('[findPrinting] Error:', e);
   }
   return null;
@@ -1679,27 +3533,20 @@ function simplify(name) {
     .replace(/\s+/g, ' ').trim();
 }
 
-function getCache(key) {
-  const c = SCRYFALL_CACHE.get(key);
-  if (c && Date.now() - c.ts < CACHE_TTL) return c.val;
-  if (c) SCRYFALL_CACHE.delete(key);
-  return null;
-}
-
-function setCache(key, val) {
-  SCRYFALL_CACHE.set(key, { val, ts: Date.now() });
-  cacheDirty = true;
-  if (SCRYFALL_CACHE.size > CACHE_MAX) {
-    const firstKey = SCRYFALL_CACHE.keys().next().value;
-    SCRYFALL_CACHE.delete(firstKey);
-  }
-}
-
 function enc(s) { return encodeURIComponent(s); }
 
 // ═══════════════════════════════════════════
 // FORMAT
 // ═══════════════════════════════════════════
+// Formats the popups show legality badges for; Scryfall lists ~20
+const LEGALITY_FORMATS = ['commander', 'modern', 'pioneer', 'standard', 'legacy', 'pauper'];
+
+/** { commander: 'legal' | 'not_legal' | 'banned' | 'restricted', … } for LEGALITY_FORMATS, or null */
+function pickLegalities(legalities) {
+  if (!legalities) return null;
+  return Object.fromEntries(LEGALITY_FORMATS.filter(f => legalities[f]).map(f => [f, legalities[f]]));
+}
+
 function formatCard(card) {
   const p = card.prices || {};
   const faces = card.card_faces || [];
@@ -1746,8 +3593,16 @@ function formatCard(card) {
     typeLine: card.type_line || '',
     oracleText: oracleText,
     colors: colors,
+    colorIdentity: card.color_identity || null,
+    keywords: card.keywords || [],
+    legalities: pickLegalities(card.legalities),
+    reserved: !!card.reserved,
+    gameChanger: !!card.game_changer,
+    edhrecRank: card.edhrec_rank ?? null,
     imageSmall: imgs.small || imgs.normal || '',
     tcgplayerId: tcgplayerId,
+    scryfallId: card.id || null,
+    cardmarketId: card.cardmarket_id || null,
     // Variant info for TCGCSV fallback
     finishes: finishes,
     frameEffects: frameEffects,
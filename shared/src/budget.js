@@ -0,0 +1,30 @@
+// MTG Card Price Checker - Budget alternatives
+// Which cards are over the "budgetThreshold" setting (NM USD, off until set)
+// and which of a deck's get swaps. The cheaper cards themselves come from the
+// background (FETCH_BUDGET_ALTERNATIVES).
+
+globalThis.MTGBudget = globalThis.MTGBudget || (() => {
+  const DEFAULT_THRESHOLD = 0; // Off — every suggestion is a search plus TCGCSV downloads
+  const DECK_SWAP_CARDS = 5;   // Most expensive over-threshold cards given swaps
+
+  /** Near-mint non-foil USD price checked against the threshold */
+  function priceUsd(card) {
+    const p = card.nmPrices || card.prices || {};
+    return (p.source === 'tcgcsv' ? p.market ?? p.mid ?? p.low : null) ?? p.usd ?? null;
+  }
+
+  function isOver(card, threshold) {
+    return threshold > 0 && priceUsd(card) > threshold;
+  }
+
+  /** The priciest over-threshold cards of a deck, one per name */
+  function swapCandidates(cards, threshold) {
+    const seen = new Set();
+    return cards
+      .filter(card => card && isOver(card, threshold) && !seen.has(card.name) && seen.add(card.name))
+      .sort((a, b) => priceUsd(b) - priceUsd(a))
+      .slice(0, DECK_SWAP_CARDS);
+  }
+
+  return { DEFAULT_THRESHOLD, isOver, swapCandidates };
+})();
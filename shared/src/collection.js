@@ -0,0 +1,444 @@
+// MTG Card Price Checker - Collection Page
+// Imports CSV exports from common collection apps and prices every row
+// through the FETCH_CARD_PRICES_BATCH pipeline (set + collector number → TCGCSV).
+// The collection is stored in chrome.storage.local ('collection') together with
+// the last known unit price, so reopening the page doesn't re-price everything.
+
+const fileInput = document.getElementById('csvFile');       // Replaces the collection
+const addFileInput = document.getElementById('csvAddFile'); // Adds to it
+const statusEl = document.getElementById('status');
+const tableBody = document.getElementById('collectionBody');
+const filterInput = document.getElementById('filterInput');
+
+let collection = [];     // Rows, see parseCollectionCsv()
+let pricing = false;     // True while a pricing run is in progress
+let sortKey = 'total';   // Column key of the active sort
+let sortDir = -1;        // 1 = ascending, -1 = descending
+
+const PRICE_CHUNK = 1000;   // FETCH_CARD_PRICES_BATCH limit
+const SET_NAME_CHUNK = 50;  // Rows with only a set name each need a single Scryfall lookup (background BATCH_FUZZY_MAX)
+
+// ─── Currency state (shared MTGCurrency, see currency.js) ───
+let userCurrency = 'USD';
+let exchangeRate = 1;
+
+async function loadCurrency() {
+  ({ currency: userCurrency, rate: exchangeRate } =
+    await MTGCurrency.load(msg => chrome.runtime.sendMessage(msg)));
+}
+
+/** Convert a USD value to the user's local currency */
+function convert(usdVal) {
+  if (usdVal == null) return null;
+  if (userCurrency === 'USD') return usdVal;
+  return usdVal * exchangeRate;
+}
+
+/** Format a price value in the user's currency */
+function fmtPrice(val) {
+  return MTGCurrency.format(val, userCurrency);
+}
+
+// ═══════════════════════════════════════════
+// CSV IMPORT
+// Column names differ per app, so rows are mapped by header aliases
+// rather than per-format parsers. Header names are matched exactly
+// (lowercased) — "Tradelist Count" must not count as "Count".
+// ═══════════════════════════════════════════
+const CSV_COLUMNS = {
+  qty: ['count', 'quantity', 'qty', 'amount'],
+  name: ['name', 'card name', 'card'],
+  setCode: ['set code', 'edition code', 'set'],
+  setName: ['set name', 'edition'],
+  collectorNumber: ['collector number', 'card number', "collector's number", 'collector no', 'number', 'cn'],
+  finish: ['foil', 'printing', 'finish'],
+  condition: ['condition'],
+  language: ['language', 'lang'],
+  scryfallId: ['scryfall id', 'scryfall_id', 'scryfallid']
+};
+
+// Detected from the header row; only used for the import status message
+const CSV_FORMATS = [
+  { name: 'ManaBox', test: h => h.includes('manabox id') },
+  { name: 'Dragon Shield', test: h => h.includes('folder name') },
+  { name: 'Deckbox', test: h => h.includes('tradelist count') && h.includes('card number') },
+  { name: 'Moxfield', test: h => h.includes('tradelist count') },
+  { name: 'Delver Lens', test: h => h.includes("collector's number") || h.includes('quantityx') }
+];
+
+// App condition names → TCGPlayer scale (prices are TCGPlayer)
+const CONDITION_MAP = {
+  'mint': 'NM', 'm': 'NM', 'near mint': 'NM', 'near_mint': 'NM', 'nearmint': 'NM', 'nm': 'NM',
+  'excellent': 'LP', 'ex': 'LP', 'lightly played': 'LP', 'lightly_played': 'LP', 'lightplayed': 'LP',
+  'slightly played': 'LP', 'sp': 'LP', 'lp': 'LP',
+  'good': 'MP', 'gd': 'MP', 'moderately played': 'MP', 'moderately_played': 'MP', 'mp': 'MP',
+  'played': 'HP', 'pl': 'HP', 'heavily played': 'HP', 'heavily_played': 'HP', 'hp': 'HP',
+  'poor': 'DMG', 'po': 'DMG', 'damaged': 'DMG', 'dmg': 'DMG'
+};
+
+// App language names → Scryfall language codes
+const LANGUAGE_MAP = {
+  'english': 'en', 'german': 'de', 'french': 'fr', 'italian': 'it', 'spanish': 'es',
+  'portuguese': 'pt', 'japanese': 'ja', 'korean': 'ko', 'russian': 'ru',
+  'chinese simplified': 'zhs', 'simplified chinese': 'zhs', 'chinese traditional': 'zht',
+  'traditional chinese': 'zht', 'zh_cn': 'zhs', 'zh_tw': 'zht', 'zh-cn': 'zhs', 'zh-tw': 'zht'
+};
+
+/** Parse CSV text into rows of fields. Handles quotes, "" escapes, CRLF and Excel's "sep=" line. */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, ''); // UTF-8 BOM (Excel, Dragon Shield)
+  let delim = ',';
+  const sepLine = text.match(/^"?sep=(.)"?\r?\n/i);
+  if (sepLine) {
+    delim = sepLine[1];
+    text = text.slice(sepLine[0].length);
+  } else {
+    const firstLine = text.split('\n', 1)[0];
+    const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length]);
+    delim = counts.sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delim) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+function parseFinish(value) {
+  const v = (value || '').trim().toLowerCase();
+  if (v.includes('etched')) return 'etched';
+  if (['foil', 'true', 'yes', '1', 'y'].includes(v)) return 'foil';
+  return 'nonfoil';
+}
+
+function collectionKey(row) {
+  const printing = row.scryfallId ||
+    (row.setCode && row.collectorNumber ? `${row.setCode}#${row.collectorNumber}` : `${row.name}|${row.setCode || row.setName}`);
+  return `${printing}|${row.finish}|${row.condition}|${row.language}`;
+}
+
+/**
+ * Parse a collection CSV export.
+ * @returns {{ format: string, rows: object[], skipped: number }}
+ */
+function parseCollectionCsv(text) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(r => r.some(f => CSV_COLUMNS.name.includes(f.trim().toLowerCase())));
+  if (headerIndex < 0) throw new Error('No "Name" column found');
+
+  const header = rows[headerIndex].map(f => f.trim().toLowerCase());
+  const col = {};
+  for (const [key, aliases] of Object.entries(CSV_COLUMNS)) {
+    col[key] = header.findIndex(h => aliases.includes(h));
+  }
+  const format = CSV_FORMATS.find(f => f.test(header))?.name || 'CSV';
+
+  const parsed = [];
+  let skipped = 0;
+  for (const r of rows.slice(headerIndex + 1)) {
+    const get = key => (col[key] >= 0 ? (r[col[key]] || '').trim() : '');
+    const name = get('name');
+    if (!name) {
+      skipped++;
+      continue;
+    }
+    let setCode = get('setCode').toLowerCase();
+    let setName = get('setName');
+    // Moxfield's "Edition" is a set code, Deckbox's is a set name
+    if (!setCode && /^[a-z0-9]{2,6}$/i.test(setName)) {
+      setCode = setName.toLowerCase();
+      setName = '';
+    }
+    const language = get('language').toLowerCase();
+    const row = {
+      qty: parseInt(get('qty')) || 1,
+      name,
+      setCode,
+      setName,
+      collectorNumber: get('collectorNumber'),
+      finish: parseFinish(get('finish')),
+      condition: CONDITION_MAP[get('condition').toLowerCase()] || get('condition') || 'NM',
+      language: LANGUAGE_MAP[language] || language || 'en',
+      scryfallId: get('scryfallId'),
+      unit: null,
+      source: null,
+      pricedAt: null
+    };
+    row.key = collectionKey(row);
+    parsed.push(row);
+  }
+  return { format, rows: parsed, skipped };
+}
+
+/**
+ * Add imported rows to the collection, summing quantities of identical rows.
+ * `replace` starts the collection over from the import (an updated export of
+ * the same collection); rows that were already there keep their last price.
+ * @returns {number} rows that weren't in the collection yet
+ */
+function mergeRows(rows, replace) {
+  const previous = new Map(collection.map(r => [r.key, r]));
+  if (replace) collection = [];
+  const byKey = new Map(collection.map(r => [r.key, r]));
+  let added = 0;
+  for (const row of rows) {
+    const existing = byKey.get(row.key);
+    if (existing) {
+      existing.qty += row.qty;
+      continue;
+    }
+    const kept = replace ? previous.get(row.key) : null;
+    const target = kept ? Object.assign(kept, { qty: row.qty }) : row;
+    byKey.set(row.key, target);
+    collection.push(target);
+    if (!kept) added++;
+  }
+  return added;
+}
+
+async function saveCollection() {
+  await chrome.storage.local.set({ collection });
+}
+
+// ═══════════════════════════════════════════
+// PRICING
+// ═══════════════════════════════════════════
+
+// TCGCSV market → mid → low for the row's finish, Scryfall as fallback
+function unitPrice(data, finish) {
+  const p = data.prices || {};
+  if (p.source === 'tcgcsv') {
+    const v = finish === 'nonfoil'
+      ? (p.market ?? p.mid ?? p.low)
+      : (p.marketFoil ?? p.midFoil ?? p.lowFoil);
+    if (v != null) return { unit: v, source: 'tcgcsv' };
+  }
+  const v = finish === 'nonfoil' ? p.usd : (p.usdEtched ?? p.usdFoil);
+  return v != null ? { unit: v, source: 'scryfall' } : { unit: null, source: null };
+}
+
+function toIdentifier(row) {
+  return {
+    name: row.name,
+    scryfallId: row.scryfallId || null,
+    setCode: row.setCode || null,
+    collectorNumber: row.collectorNumber || null,
+    setHint: !row.setCode && row.setName ? row.setName : null
+  };
+}
+
+async function priceCollection(onlyUnpriced) {
+  if (pricing) return;
+  pricing = true;
+  render();
+
+  const rows = onlyUnpriced ? collection.filter(r => r.pricedAt == null) : collection.slice();
+  // Rows the collection endpoint resolves first, then the slow set-name rows in small chunks
+  const bySetName = (row) => !!toIdentifier(row).setHint;
+  const chunks = [];
+  for (const [part, size] of [[rows.filter(r => !bySetName(r)), PRICE_CHUNK], [rows.filter(bySetName), SET_NAME_CHUNK]]) {
+    for (let i = 0; i < part.length; i += size) chunks.push(part.slice(i, i + size));
+  }
+  try {
+    let done = 0;
+    for (const chunk of chunks) {
+      setStatus(`Pricing ${done + 1}–${done + chunk.length} of ${rows.length}…`);
+      done += chunk.length;
+      const res = await chrome.runtime.sendMessage({
+        type: 'FETCH_CARD_PRICES_BATCH',
+        identifiers: chunk.map(toIdentifier)
+      });
+      chunk.forEach((row, j) => {
+        const r = res?.data?.[j];
+        if (r?.error === 'too many') return; // Left unpriced for the next run
+        row.pricedAt = Date.now();
+        if (!r?.success) {
+          row.unit = null;
+          row.source = null;
+          return;
+        }
+        Object.assign(row, unitPrice(r.data, row.finish));
+        row.name = r.data.name;
+        row.setCode = r.data.setCode?.toLowerCase() || row.setCode; // Imported codes are lowercase
+        row.setName = r.data.set || row.setName;
+        row.collectorNumber = r.data.collectorNumber || row.collectorNumber;
+      });
+      await saveCollection();
+      render();
+    }
+    const missing = rows.filter(r => r.unit == null).length;
+    const deferred = rows.filter(r => r.pricedAt == null).length;
+    setStatus(`Priced ${rows.length - missing} of ${rows.length} rows` + (missing ? ` · ${missing} without price` : '') +
+      (deferred ? ` · ${deferred} not looked up, refresh to retry` : ''));
+  } catch (e) {
+    console.error('Collection pricing error:', e);
+    setStatus('❌ Pricing failed — try again');
+  } finally {
+    pricing = false;
+    render();
+  }
+}
+
+// ═══════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════
+function setStatus(text) {
+  statusEl.textContent = text;
+}
+
+function sortValue(row, key) {
+  if (key === 'total') return row.unit != null ? row.unit * row.qty : -1;
+  if (key === 'unit') return row.unit ?? -1;
+  if (key === 'qty') return row.qty;
+  if (key === 'set') return (row.setCode || row.setName || '') + '#' + (row.collectorNumber || '').padStart(5, '0');
+  return (row[key] || '').toString().toLowerCase();
+}
+
+function render() {
+  const totalCards = collection.reduce((sum, r) => sum + r.qty, 0);
+  const totalValue = collection.reduce((sum, r) => sum + (r.unit != null ? r.unit * r.qty : 0), 0);
+  document.getElementById('summaryCards').textContent = totalCards.toLocaleString();
+  document.getElementById('summaryUnique').textContent = collection.length.toLocaleString();
+  document.getElementById('summaryValue').textContent = fmtPrice(convert(totalValue));
+
+  document.getElementById('priceBtn').disabled = pricing || collection.length === 0;
+  document.getElementById('clearBtn').disabled = pricing || collection.length === 0;
+
+  const filter = filterInput.value.trim().toLowerCase();
+  const rows = collection
+    .filter(r => !filter || r.name.toLowerCase().includes(filter) ||
+      (r.setCode || '').toLowerCase().includes(filter) || (r.setName || '').toLowerCase().includes(filter))
+    .sort((a, b) => {
+      const va = sortValue(a, sortKey), vb = sortValue(b, sortKey);
+      return (va < vb ? -1 : va > vb ? 1 : 0) * sortDir;
+    });
+
+  document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted', th.dataset.sort === sortKey);
+    th.dataset.dir = sortDir > 0 ? '▲' : '▼';
+  });
+
+  if (collection.length === 0) {
+    tableBody.innerHTML = '<tr><td colspan="9" class="empty">Import a CSV export to get started</td></tr>';
+    return;
+  }
+
+  tableBody.innerHTML = rows.map(r => {
+    const unit = convert(r.unit);
+    const cls = unit == null ? '' : unit >= 10 ? ' high' : unit >= 2 ? ' medium' : '';
+    const finish = r.finish === 'nonfoil' ? '' : `<span class="mtg-foil-badge">${r.finish === 'etched' ? 'Etched' : 'Foil'}</span>`;
+    const price = r.pricedAt == null ? '…' : unit == null ? '—' : fmtPrice(unit);
+    const total = unit == null ? '' : fmtPrice(unit * r.qty);
+    const source = r.source === 'scryfall' ? ' title="Scryfall price (no TCGPlayer data)"' : '';
+    return `<tr>
+      <td class="num">${r.qty}</td>
+      <td class="name">${escapeHtml(r.name)}</td>
+      <td>${escapeHtml((r.setCode || r.setName || '').toUpperCase())}</td>
+      <td>${escapeHtml(r.collectorNumber || '')}</td>
+      <td>${finish}</td>
+      <td>${escapeHtml(r.condition)}</td>
+      <td>${escapeHtml(r.language.toUpperCase())}</td>
+      <td class="num value${cls}"${source}>${price}</td>
+      <td class="num value${cls}">${total}</td>
+    </tr>`;
+  }).join('');
+}
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// ═══════════════════════════════════════════
+// INIT
+// ═══════════════════════════════════════════
+/**
+ * Import the picked CSV files. "Import CSV" replaces the collection (files
+ * picked together are summed), "Add CSV" adds their quantities to it.
+ */
+async function importFiles(input, replace) {
+  const files = [...input.files];
+  input.value = '';
+  if (replace && collection.length > 0 &&
+      !confirm(`Replace your collection (${collection.length} rows) with ${files.length > 1 ? 'these files' : files[0].name}?`)) return;
+  for (const file of files) {
+    try {
+      const { format, rows, skipped } = parseCollectionCsv(await file.text());
+      const added = mergeRows(rows, replace);
+      await saveCollection();
+      setStatus(`${replace ? 'Replaced collection with' : 'Imported'} ${rows.length} rows from ${file.name} (${format})` +
+        (!replace && added < rows.length ? ` · ${rows.length - added} merged into existing rows` : '') +
+        (skipped ? ` · ${skipped} skipped` : ''));
+      replace = false; // Further files add to this one
+    } catch (e) {
+      setStatus(`❌ ${file.name}: ${e.message}`);
+    }
+  }
+  render();
+  priceCollection(true);
+}
+
+fileInput.addEventListener('change', () => importFiles(fileInput, true));
+addFileInput.addEventListener('change', () => importFiles(addFileInput, false));
+
+document.getElementById('priceBtn').addEventListener('click', () => priceCollection(false));
+
+document.getElementById('clearBtn').addEventListener('click', async () => {
+  if (!confirm('Remove all cards from your collection?')) return;
+  collection = [];
+  await saveCollection();
+  setStatus('Collection cleared');
+  render();
+});
+
+filterInput.addEventListener('input', render);
+
+document.querySelectorAll('th[data-sort]').forEach(th => {
+  th.addEventListener('click', () => {
+    if (sortKey === th.dataset.sort) sortDir = -sortDir;
+    else {
+      sortKey = th.dataset.sort;
+      sortDir = ['name', 'set'].includes(sortKey) ? 1 : -1;
+    }
+    render();
+  });
+});
+
+(async function init() {
+  await loadCurrency();
+  const data = await chrome.storage.local.get('collection');
+  collection = Array.isArray(data.collection) ? data.collection : [];
+  render();
+  // Finish rows left unpriced by an interrupted run
+  if (collection.some(r => r.pricedAt == null)) priceCollection(true);
+})();
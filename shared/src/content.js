@@ -6,6 +6,10 @@
 (function () {
   'use strict';
 
+  // Built-in sites can also be saved as bracket sites, loading this script twice
+  if (window.__mtgPriceChecker) return;
+  window.__mtgPriceChecker = true;
+
   // ─── DEBUG LOGGING ───
   const log = (...a) => console.log('[MTG-PC]', ...a);
 
@@ -74,10 +78,12 @@
   let mouseX = 0, mouseY = 0;   // Current mouse position (used for hover-still-valid check)
   let activeTriggerEl = null;    // The DOM element that triggered the current popup
   let popupTouched = false;      // True once the user's mouse has entered the popup
+  let hoverFoil = false;         // The hovered listing is a foil one (info.foil)
 
   // ─── REQUEST GENERATION ───
   // Incremented on every new hover. Stale responses (where generation doesn't match) are discarded.
   let requestGeneration = 0;
+  let staleGeneration = 0; // Generation whose popup shows expired prices awaiting CARD_PRICE_UPDATED
 
   // ─── DRAG STATE ───
   let isDragging = false;
@@ -90,42 +96,29 @@
   // ─── ORACLE TEXT STATE ───
   let oracleExpanded = false;
 
+  // ─── PRICE ALERT STATE ───
+  let alertCard = null; // { data, foil } for the card in the popup (TCGCSV-priced only)
+
   // ─── SHADOW DOM ROOT ───
   let shadowRoot = null;
 
   // ─── HOVER POPUP ENABLED ───
   let hoverEnabled = true; // Default: enabled. Loaded from chrome.storage on init.
 
-  // ─── CURRENCY DETECTION ───
-  const LOCALE_TO_CUR = {
-    'de': 'EUR', 'fr': 'EUR', 'es': 'EUR', 'it': 'EUR', 'nl': 'EUR', 'pt': 'EUR',
-    'el': 'EUR', 'fi': 'EUR', 'sk': 'EUR', 'sl': 'EUR', 'et': 'EUR', 'lv': 'EUR',
-    'lt': 'EUR', 'mt': 'EUR', 'ga': 'EUR', 'be': 'EUR', 'ie': 'EUR',
-    'en-GB': 'GBP', 'en-AU': 'AUD', 'en-CA': 'CAD', 'en-NZ': 'NZD',
-    'ja': 'JPY', 'zh': 'CNY', 'ko': 'KRW',
-    'sv': 'SEK', 'nb': 'NOK', 'nn': 'NOK', 'no': 'NOK', 'da': 'DKK',
-    'pl': 'PLN', 'cs': 'CZK', 'hu': 'HUF', 'ro': 'RON', 'bg': 'BGN',
-    'tr': 'TRY', 'ru': 'RUB', 'uk': 'UAH',
-    'pt-BR': 'BRL', 'es-MX': 'MXN', 'en-IN': 'INR',
-    'he': 'ILS', 'th': 'THB', 'zh-TW': 'TWD', 'zh-HK': 'HKD',
-  };
-
-  const CUR_SYM = {
-    USD: '$', EUR: '€', GBP: '£', JPY: '¥', CAD: 'CA$', AUD: 'A$', CHF: 'CHF',
-    SEK: 'kr', NOK: 'kr', DKK: 'kr', PLN: 'zł', CZK: 'Kč', HUF: 'Ft',
-    BRL: 'R$', MXN: 'MX$', CNY: '¥', KRW: '₩', TRY: '₺', INR: '₹',
-    RON: 'lei', BGN: 'лв', RUB: '₽', UAH: '₴', ILS: '₪', THB: '฿',
-    NZD: 'NZ$', TWD: 'NT$', HKD: 'HK$',
-  };
-
+  // ─── CURRENCY ───
+  // Display currency, formatting and USD rates come from the shared MTGCurrency (currency.js)
   let userCurrency = 'USD';
   let exchangeRate = 1;
+  let secondaryCurrency = ''; // Shown in small text next to prices ('' = off)
+  let secondaryRate = null;
   let sellerCountry = '';
 
-  function detectCurrency() {
-    const lang = navigator.language || navigator.userLanguage || 'en-US';
-    userCurrency = LOCALE_TO_CUR[lang] || LOCALE_TO_CUR[lang.split('-')[0]] || 'USD';
-    log('Locale:', lang, '→', userCurrency);
+  async function loadCurrency() {
+    try {
+      ({ currency: userCurrency, rate: exchangeRate, secondary: secondaryCurrency, secondaryRate } =
+        await MTGCurrency.load(sendMessage));
+      log('Currency:', userCurrency, '1 USD =', exchangeRate, secondaryCurrency ? '+ ' + secondaryCurrency : '');
+    } catch (e) { log('Currency error:', e); }
   }
 
   function loadSellerCountry() {
@@ -146,23 +139,56 @@
     } catch (e) { /* extension context may be invalidated */ }
   }
 
+  // ─── CONDITION & LANGUAGE ───
+  // Prices are scaled in the background (applyCondition); these are the picks
+  // from the popup selectors, shared with the toolbar popup via chrome.storage
+  const PRICE_CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+  const PRICE_LANGUAGES = ['en', 'de', 'fr', 'it', 'es', 'pt', 'ja', 'ko', 'ru', 'zhs', 'zht'];
+  let priceCondition = 'NM';
+  let priceLanguage = 'en';
+  let conditionLookup = null; // { msg, gen } of the card on screen, re-sent when the picks change
+
+  function loadPriceCondition() {
+    try {
+      chrome.storage.local.get(['priceCondition', 'priceLanguage'], (data) => {
+        priceCondition = data.priceCondition || 'NM';
+        priceLanguage = data.priceLanguage || 'en';
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local') return;
+        if (changes.priceCondition) priceCondition = changes.priceCondition.newValue || 'NM';
+        if (changes.priceLanguage) priceLanguage = changes.priceLanguage.newValue || 'en';
+      });
+    } catch (e) { /* extension context may be invalidated */ }
+  }
+
+  // ─── BUDGET ALTERNATIVES ───
+  // Cards over this NM price (USD, set in the toolbar popup; off by default) get
+  // cheaper cards doing the same job in the hover popup and the deck panel.
+  // Threshold check and deck swap picks come from the shared MTGBudget (budget.js)
+  const BUDGET_HOVER_ROWS = 3;
+  let budgetThreshold = MTGBudget.DEFAULT_THRESHOLD;
+
+  function loadBudgetThreshold() {
+    try {
+      chrome.storage.local.get('budgetThreshold', (data) => {
+        budgetThreshold = data.budgetThreshold ?? MTGBudget.DEFAULT_THRESHOLD;
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes.budgetThreshold) return;
+        budgetThreshold = changes.budgetThreshold.newValue ?? MTGBudget.DEFAULT_THRESHOLD;
+        deckSwaps.clear();
+        renderDeckPanel();
+      });
+    } catch (e) { /* extension context may be invalidated */ }
+  }
+
   function applySellerCountry(url) {
     if (!url || !sellerCountry) return url;
     const sep = url.includes('?') ? '&' : '?';
     return url + sep + 'sellerCountry=' + sellerCountry;
   }
 
-  async function loadExchangeRate() {
-    if (userCurrency === 'USD') return;
-    try {
-      const res = await sendMessage({ type: 'GET_EXCHANGE_RATE', currency: userCurrency });
-      if (res?.rate) {
-        exchangeRate = res.rate;
-        log('Rate: 1 USD =', exchangeRate, userCurrency);
-      }
-    } catch (e) { log('Exchange rate error:', e); }
-  }
-
   function getPrice(prices, type) {
     const eurVal = type === 'foil' ? prices.eurFoil : prices.eur;
     const usdVal = type === 'foil' ? prices.usdFoil : prices.usd;
@@ -176,11 +202,21 @@
     return null;
   }
 
+  /** Convert a USD value (TCGCSV) to the user's local currency */
+  function convertUsd(usdVal) {
+    if (usdVal == null) return null;
+    if (userCurrency === 'USD') return usdVal;
+    return usdVal * exchangeRate;
+  }
+
   function fmtPrice(val) {
-    if (val == null) return null;
-    const sym = CUR_SYM[userCurrency] || userCurrency;
-    const noDecimals = userCurrency === 'JPY' || userCurrency === 'KRW';
-    return sym + (noDecimals ? Math.round(val).toString() : val.toFixed(2));
+    return MTGCurrency.format(val, userCurrency);
+  }
+
+  /** A price in the user's currency, restated in the secondary one (null when off) */
+  function fmtSecondary(val) {
+    if (val == null || !secondaryCurrency) return null;
+    return MTGCurrency.format(val / exchangeRate * secondaryRate, secondaryCurrency);
   }
 
   document.addEventListener('mousemove', (e) => {
@@ -188,6 +224,21 @@
     mouseY = e.clientY;
   }, { passive: true });
 
+  // ─── SEALED PRODUCT URLS ───
+  // Cardmarket files sealed products under their own category paths
+  const CM_SEALED_PATH = /\/Products\/(Booster-Boxes|Boosters|Bundles|Fat-Packs|Box-Sets|Decks|Preconstructed-Decks|Commander-Decks|Starter-Decks|Theme-Decks|Tournament-Packs|Prerelease-Packs|Gift-Boxes)\/([^/?#]+)/;
+  // Cardmarket offer grades → the grades prices are scaled by
+  const CM_CONDITIONS = { MT: 'NM', NM: 'NM', EX: 'LP', GD: 'MP', LP: 'MP', PL: 'HP', PO: 'DMG' };
+  // Cardmarket language icon tooltips → Scryfall language codes
+  const CM_LANGUAGES = {
+    'English': 'en', 'German': 'de', 'French': 'fr', 'Italian': 'it', 'Spanish': 'es', 'Portuguese': 'pt',
+    'Japanese': 'ja', 'Korean': 'ko', 'Russian': 'ru', 'S-Chinese': 'zhs', 'T-Chinese': 'zht'
+  };
+  // Star City Games single SKU at the end of a product URL: slug, set code, collector number
+  const SCG_SKU = /\/([a-z0-9-]+?)-sgl-mtg-([a-z0-9]+)-([a-z0-9]+)-[a-z]{2}[nf]\/?(?:[?#]|$)/i;
+  // TCGPlayer uses /product/{id} for everything; sealed products are told apart by slug
+  const TCG_SEALED_SLUG = /(?:^|-)(?:booster-(?:box|display|pack|case)|(?:play|set|draft|collector|jumpstart)-booster|bundle|fat-pack|commander-deck|precon|starter-(?:kit|deck)|prerelease-(?:pack|kit)|gift-(?:box|bundle))(?:-|$)/;
+
   // ═══════════════════════════════════════════════════
   // SITE CONFIGS
   // Each supported site defines:
@@ -197,14 +248,20 @@
   //   spa: if true, enables periodic rescan for late-rendering React/SPA content
   //   findHoverTarget(el): optional — given a matched element, return the element to
   //                        actually attach hover listeners to (e.g., a visible parent container)
+  //   deckPath: optional — pathname pattern of decklist pages (enables the deck value panel)
+  //   brackets: optional — also scan page text for [[Card Name]] / [[Card Name|SET]] tokens
+  //   cheapestPrinting: optional — add "Cheapest printing: $x (SET)" to the popup
+  //                     (for sites that link cards by name, not by printing)
   // ═══════════════════════════════════════════════════
   const SITES = {
 
     // ─── CARDMARKET ───
     'www.cardmarket.com': {
-      test: (href) => /\/Products\/Singles\/[^/]+\/.+/.test(href),
+      test: (href) => /\/Products\/Singles\/[^/]+\/.+/.test(href) || CM_SEALED_PATH.test(href),
       extract: (el) => {
         const href = el.href || '';
+        const sealed = href.match(CM_SEALED_PATH);
+        if (sealed) return { name: decodeURIComponent(sealed[2]).replace(/-/g, ' ').trim(), sealed: true };
         const m = href.match(/\/Singles\/([^/]+)\/([^/?#]+)/);
         if (m) {
           let setSlug = decodeURIComponent(m[1]).replace(/-/g, ' ').trim();
@@ -238,7 +295,7 @@
           }
           if (idMatch) cardmarketProductId = parseInt(idMatch[1]);
           if (cardSlug.length >= 2) {
-            return { name: cardSlug, setHint: setSlug, variant, productUrl: href, cardmarketProductId };
+            return { name: cardSlug, setHint: setSlug, variant, productUrl: href, cardmarketProductId, ...cardmarketArticle(el) };
           }
         }
         const text = cardText(el);
@@ -277,6 +334,8 @@
       test: (href) => /edhrec\.com\/(cards|commanders)\//.test(href),
       spa: true,
       delegation: true,
+      cheapestPrinting: true,
+      deckPath: /^\/(average-decks|deckpreview)\//,
       selectors: [
         '[class*="Card_name__"]',
         'a[href*="/cards/"]',
@@ -305,15 +364,100 @@
       extract: extractScryfall
     },
 
+    // ─── MOXFIELD ───
+    // Deckbuilding site (React SPA).
+    //
+    //   - Deck view: card names are rendered as links inside table rows (list view)
+    //     or as name labels on image tiles (visual view)
+    //   - Card pages: /cards/{id} with the card name in the page heading
+    //   - Hovering a row name pops a floating card image that sits above the row
+    //
+    // Strategy: EVENT DELEGATION (same as EDHREC) — the image preview would
+    // otherwise swallow mouseenter/mouseleave on the name elements.
+    'www.moxfield.com': {
+      test: (href) => /moxfield\.com\/cards\/[^/?#]+/.test(href),
+      spa: true,
+      delegation: true,
+      deckPath: /^\/decks\/(?!public|personal|following|liked)[^/]+/,
+      selectors: [
+        '[data-card-name]',
+        '.table-deck-row a[href="#"]',
+        '[class*="decklist-card-name"]',
+        '[class*="deckbox-card-name"]',
+        '.card-details h1',
+        '.cardpage-name'
+      ],
+      extract: extractMoxfield
+    },
+
+    // ─── ARCHIDEKT ───
+    // Deckbuilding site (Next.js SPA, CSS module class names).
+    //
+    //   - Deck view: card names in elements whose class starts with a module
+    //     prefix containing "cardName" / "card_name" (hashes change per deploy)
+    //   - Card pages: /card?name=... and /cards?name=... query URLs
+    //   - Stacked card images overlap the name labels in the visual deck view
+    //
+    // Strategy: EVENT DELEGATION, prefix-only class matching.
+    'archidekt.com': {
+      test: (href) => /archidekt\.com\/cards?\?(?:[^#]*&)?name=/.test(href),
+      spa: true,
+      delegation: true,
+      deckPath: /^\/decks\/\d+/,
+      selectors: [
+        '[class*="cardName"]',
+        '[class*="card_name"]',
+        '[class*="spreadsheetCard_name"]',
+        '[data-card-name]'
+      ],
+      extract: extractArchidekt
+    },
+
+    // ─── MTGGOLDFISH ───
+    // Server-rendered deck and price pages. Card links point to
+    // /price/{Set+Name}/{Card+Name} and carry data-card-id="Card Name [SET]".
+    'www.mtggoldfish.com': {
+      test: (href) => /mtggoldfish\.com\/price\/[^/]+\/[^/?#]+/.test(href),
+      deckPath: /^\/(deck|archetype)\//,
+      selectors: ['a[data-card-id]'],
+      extract: extractMtgGoldfish
+    },
+
+    // ─── CARD KINGDOM ───
+    // Server-rendered store. Singles live at /mtg/{edition}/{card-slug}, foils
+    // at /mtg/{edition}-foil/{card-slug}; sealed product is under /mtg-sealed/.
+    'www.cardkingdom.com': {
+      test: (href) => /cardkingdom\.com\/mtg\/[^/?#]+\/[^/?#]+/.test(href),
+      selectors: ['a[href*="/mtg/"]'],
+      extract: extractCardKingdom
+    },
+
+    // ─── STAR CITY GAMES ───
+    // Product URLs end in the SKU: /{card-slug}-sgl-mtg-{set}-{number}-{lang}{n|f}/
+    // Search results render client-side.
+    'starcitygames.com': {
+      test: (href) => SCG_SKU.test(href),
+      spa: true,
+      selectors: ['a[href*="-sgl-mtg-"]'],
+      extract: extractStarCityGames
+    },
+
   };
 
   // ─── DOMAIN ALIASES ───
   SITES['www.scryfall.com'] = SITES['scryfall.com'];
   SITES['cardmarket.com'] = SITES['www.cardmarket.com'];
   SITES['www.edhrec.com'] = SITES['edhrec.com'];
+  SITES['moxfield.com'] = SITES['www.moxfield.com'];
+  SITES['www.archidekt.com'] = SITES['archidekt.com'];
+  SITES['mtggoldfish.com'] = SITES['www.mtggoldfish.com'];
+  SITES['cardkingdom.com'] = SITES['www.cardkingdom.com'];
+  SITES['www.starcitygames.com'] = SITES['starcitygames.com'];
 
   // ─── REDDIT ───
+  // Card links from the card-fetcher bots, plus raw [[Card Name]] comments
   const redditConfig = {
+    brackets: true,
     test: (href) => /cards\.scryfall\.io\//.test(href) || /scryfall\.com\/card\//.test(href),
     selectors: ['a[href*="cards.scryfall.io"]', 'a[href*="scryfall.com/card/"]'],
     extract: (el) => {
@@ -327,6 +471,11 @@
   SITES['old.reddit.com'] = redditConfig;
   SITES['reddit.com'] = redditConfig;
 
+  // ─── OPT-IN SITES ───
+  // Any other host only gets content.js after the user added it in settings
+  // (see syncBracketScript in background.js) — there we only look for [[...]].
+  const BRACKET_SITE = { brackets: true, spa: true };
+
   // ═══════════════════════════════════════════
   // EXTRACTORS
   // ═══════════════════════════════════════════
@@ -337,6 +486,10 @@
     if (!m) return null;
 
     const slugInfo = parseTcgPlayerSlug(href);
+    if (slugInfo && TCG_SEALED_SLUG.test(slugInfo.cleanSlug)) {
+      const name = cardText(el) || tcgImageAlt(el) || slugInfo.nameFallback;
+      return name ? { name, tcgplayerId: m[1], sealed: true } : null;
+    }
 
     // Try multiple sources for card name (most to least reliable)
     const name = cardText(el)
@@ -434,6 +587,98 @@
     return name ? { name } : null;
   }
 
+  // Section headers and UI labels on deckbuilder pages that match the
+  // generic name selectors but are not cards.
+  const DECK_UI_LABELS = /^(Commanders?|Companions?|Mainboard|Main Deck|Deck|Sideboard|Maybeboard|Considering|Tokens?|Creatures?|Instants?|Sorceries|Sorcery|Artifacts?|Enchantments?|Planeswalkers?|Battles?|Lands?|Other|Name|Qty|Quantity|Price|Type|Cost|Set|Edit|View|Buy|Export|Sample Hand|Playtest)$/i;
+
+  function extractMoxfield(el) {
+    const name = el.dataset?.cardName || cardText(el);
+    if (!name || DECK_UI_LABELS.test(name)) return null;
+    return { name: simplifyCardName(name) };
+  }
+
+  function extractArchidekt(el) {
+    if (el.tagName === 'A') {
+      try {
+        const name = new URL(el.href).searchParams.get('name');
+        if (name && name.trim().length >= 2) return { name: name.trim() };
+      } catch (e) { /* fall through to text extraction */ }
+    }
+    const name = el.dataset?.cardName || cardText(el);
+    if (!name || DECK_UI_LABELS.test(name)) return null;
+    return { name: simplifyCardName(name) };
+  }
+
+  function extractMtgGoldfish(el) {
+    const href = el.href || '';
+    const m = href.match(/\/price\/([^/]+)\/([^/?#]+)/);
+
+    // data-card-id: "Lightning Bolt [M11]" or "Lightning Bolt <borderless> [2XM]"
+    const cardId = el.dataset?.cardId || '';
+    const idMatch = cardId.match(/^(.+?)\s*(?:<[^>]+>\s*)?\[([A-Z0-9]{2,6})\]\s*$/i);
+
+    const fromSlug = (s) => decodeURIComponent(s.replace(/\+/g, ' ')).trim();
+    let name = idMatch ? idMatch[1].trim() : (cardText(el) || (m ? fromSlug(m[2]) : null));
+    if (!name) return null;
+    name = simplifyCardName(name);
+
+    const info = { name };
+    if (idMatch) info.setCode = idMatch[2].toLowerCase();
+    else if (m) info.setHint = fromSlug(m[1]);
+    return info;
+  }
+
+  /** Condition and language of the Cardmarket offer row a link sits in ({} outside offer lists) */
+  function cardmarketArticle(el) {
+    const row = el.closest('.article-row');
+    if (!row) return {};
+    const grade = (row.querySelector('.article-condition')?.textContent || '').trim().toUpperCase();
+    let language = null;
+    for (const icon of row.querySelectorAll('.product-attributes *')) {
+      const label = icon.getAttribute('aria-label') || icon.getAttribute('data-bs-original-title') ||
+        icon.getAttribute('data-original-title') || icon.getAttribute('title');
+      if (CM_LANGUAGES[label]) { language = CM_LANGUAGES[label]; break; }
+    }
+    return { condition: CM_CONDITIONS[grade] || null, language };
+  }
+
+  function extractCardKingdom(el) {
+    const m = (el.href || '').match(/\/mtg\/([^/?#]+)\/([^/?#]+)/);
+    if (!m) return null;
+    // Link text "Sol Ring (Borderless)"; the slug is the fallback for image links
+    const name = (cardText(el) || m[2].replace(/-\d+$/, '').replace(/-/g, ' '))
+      .replace(/\s*\([^)]*\)\s*$/, '')
+      .trim();
+    if (name.length < 2) return null;
+    // Foil listings live under /mtg/{edition}-foil/
+    const foil = /-foil$/.test(m[1]);
+    return { name, setHint: m[1].replace(/-foil$/, '').replace(/-/g, ' '), ...(foil && { foil: true }) };
+  }
+
+  function extractStarCityGames(el) {
+    const m = (el.href || '').match(SCG_SKU);
+    if (!m) return null;
+    const name = (cardText(el) || m[1].replace(/-/g, ' '))
+      .replace(/\s*\([^)]*\)\s*$/, '')
+      .trim();
+    if (name.length < 2) return null;
+    // Collector numbers in SKUs are not reliably Scryfall's, so only the set is used
+    return { name, setCode: m[2].toLowerCase() };
+  }
+
+  /**
+   * Strip decklist noise from a card name: leading quantities ("4x"),
+   * angle-bracket variant tags ("<borderless>") and trailing set codes ("[M11]").
+   */
+  function simplifyCardName(name) {
+    return name
+      .replace(/^\d+\s*x?\s+/i, '')
+      .replace(/\s*<[^>]*>\s*/g, ' ')
+      .replace(/\s*\[[^\]]*\]\s*$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   /**
    * Extract clean card name text from a DOM element.
    * Only uses direct text content of the element itself (not deeply nested children)
@@ -475,17 +720,20 @@
 
   function init() {
     const host = window.location.hostname;
-    const config = SITES[host];
-    if (!config) return;
+    const config = SITES[host] || BRACKET_SITE;
     log('Init on', host);
 
-    // Load hover-popup setting (default: enabled)
+    // Load hover-popup and deck-panel settings (default: enabled)
     try {
-      chrome.storage.local.get('hoverEnabled', (data) => {
+      chrome.storage.local.get(['hoverEnabled', 'deckPanelEnabled'], (data) => {
         if (data.hoverEnabled === false) {
           hoverEnabled = false;
           log('Hover popup disabled by user setting');
         }
+        if (data.deckPanelEnabled === false) {
+          deckPanelEnabled = false;
+          updateDeckPanel(config);
+        }
       });
       chrome.storage.onChanged.addListener((changes, area) => {
         if (area === 'local' && changes.hoverEnabled) {
@@ -493,12 +741,19 @@
           log('Hover popup', hoverEnabled ? 'enabled' : 'disabled');
           if (!hoverEnabled) hidePopup();
         }
+        if (area === 'local' && changes.deckPanelEnabled) {
+          deckPanelEnabled = changes.deckPanelEnabled.newValue !== false;
+          updateDeckPanel(config);
+        }
+        if (area === 'local' && (changes.currency || changes.secondaryCurrency)) loadCurrency();
       });
     } catch (e) {
       // Extension context may not be available (e.g. during page unload)
-    }    detectCurrency();
+    }
     loadSellerCountry();
-    loadExchangeRate();
+    loadPriceCondition();
+    loadBudgetThreshold();
+    loadCurrency();
     createPopup();
 
     // ─── EVENT DELEGATION ───
@@ -509,7 +764,10 @@
       setupDelegation(config);
     }
 
-    const scan = () => scanPage(config);
+    const scan = () => {
+      scanPage(config);
+      updateDeckPanel(config);
+    };
 
     // Immediate + delayed scans to catch content at different render stages
     setTimeout(scan, 300);
@@ -593,6 +851,7 @@
                 const infoJson = JSON.stringify(info);
                 el.dataset.mtgCardInfo = infoJson;
                 el.dataset.mtgAttached = '1';
+                el.dataset.mtgDeckCard = infoJson;
                 stampParents(el, infoJson);
                 n++;
               }
@@ -613,6 +872,7 @@
             const infoJson = JSON.stringify(info);
             el.dataset.mtgCardInfo = infoJson;
             el.dataset.mtgAttached = '1';
+            el.dataset.mtgDeckCard = infoJson;
             stampParents(el, infoJson);
             n++;
           });
@@ -683,9 +943,67 @@
       }
     }
 
+    // Strategy 3: [[Card Name]] tokens in plain page text
+    if (config.brackets) {
+      for (const span of wrapBracketTokens(document.body)) {
+        if (attach(span, BRACKET_TOKEN_CONFIG)) n++;
+      }
+    }
+
     if (n > 0) log('+' + n, 'cards (total:', (attachedCount += n) + ')');
   }
 
+  // ─── [[CARD NAME]] TOKENS ───
+  // Reddit/Discord/forum notation. "[[Card Name|SET]]" pins the printing.
+  const BRACKET_TOKEN = /\[\[([^[\]|]{2,80}?)(?:\|\s*([A-Za-z0-9]{2,6})\s*)?\]\]/g;
+  const BRACKET_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'CODE', 'PRE']);
+  const BRACKET_TOKEN_CONFIG = {
+    extract: (el) => ({ name: el.dataset.mtgBracketName, setCode: el.dataset.mtgBracketSet || null })
+  };
+
+  /**
+   * Wrap [[...]] tokens found in text nodes in hoverable spans.
+   * Editable text and tokens that were already wrapped are left alone.
+   * @returns {HTMLElement[]} The newly created spans
+   */
+  function wrapBracketTokens(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        if (!node.nodeValue.includes('[[')) return NodeFilter.FILTER_REJECT;
+        const parent = node.parentElement;
+        if (!parent || BRACKET_SKIP_TAGS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+        if (parent.closest('.mtg-bracket-card, [contenteditable]')) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    const spans = [];
+    for (const node of nodes) {
+      const text = node.nodeValue;
+      const frag = document.createDocumentFragment();
+      let last = 0;
+      for (const m of text.matchAll(BRACKET_TOKEN)) {
+        const name = m[1].replace(/\s+/g, ' ').trim();
+        if (name.length < 2) continue;
+        if (m.index > last) frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+        const span = document.createElement('span');
+        span.className = 'mtg-bracket-card';
+        span.textContent = m[0];
+        span.dataset.mtgBracketName = name;
+        if (m[2]) span.dataset.mtgBracketSet = m[2].toLowerCase();
+        frag.appendChild(span);
+        spans.push(span);
+        last = m.index + m[0].length;
+      }
+      if (last === 0) continue;
+      if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+      node.parentNode.replaceChild(frag, node);
+    }
+    return spans;
+  }
+
   // ═══════════════════════════════════════════
   // EVENT DELEGATION
   // For sites where card images/overlays block mouse events on name elements.
@@ -773,6 +1091,7 @@
 
     // Mark both the source element and hover target as attached
     sourceEl.dataset.mtgAttached = '1';
+    sourceEl.dataset.mtgDeckCard = JSON.stringify(info);
     hoverEl.dataset.mtgAttached = '1';
     hoverEl.classList.add('mtg-price-hover');
 
@@ -831,6 +1150,7 @@
 
   async function showPopup(info, e, key) {
     currentCard = key;
+    hoverFoil = !!info.foil;
     const gen = ++requestGeneration;
     positionPopup(e);
     setState('loading');
@@ -865,8 +1185,13 @@
         ? fetchCardmarketProductId(info.productUrl)
         : Promise.resolve(null);
 
-      // Send lookup — with cardmarketProductId if available for direct match
-      const res = await sendMessage({
+      // Send lookup — with cardmarketProductId if available for direct match.
+      // A Cardmarket offer row's condition/language beats the user's picks.
+      const lookupMsg = info.sealed ? {
+        type: 'FETCH_SEALED_PRICE',
+        name: info.name,
+        tcgplayerId: info.tcgplayerId || null
+      } : {
         type: 'FETCH_CARD_PRICE',
         cardName: info.name,
         tcgplayerId: info.tcgplayerId || null,
@@ -875,8 +1200,14 @@
         collectorNumber: info.collectorNumber || null,
         scryfallId: info.scryfallId || null,
         variant: info.variant != null ? info.variant : null,
-        cardmarketProductId: info.cardmarketProductId || null
-      });
+        cardmarketProductId: info.cardmarketProductId || null,
+        condition: info.condition || priceCondition,
+        language: info.language || priceLanguage,
+        allowStale: true,
+        requestId: gen
+      };
+      conditionLookup = info.sealed ? null : { msg: lookupMsg, gen };
+      const res = await sendMessage(lookupMsg);
 
       if (requestGeneration !== gen) {
         log('Discarding stale response for:', info.name, '(gen', gen, 'vs', requestGeneration, ')');
@@ -889,8 +1220,11 @@
         return;
       }
 
-      renderPrice(res.data);
+      if (res.stale) staleGeneration = gen;
+      renderPrice(res.data, res.stale ? res.age : null);
       setState('content');
+      if (SITES[window.location.hostname]?.cheapestPrinting && !info.sealed) showCheapestPrinting(res.data.name, gen);
+      showBudgetAlternatives(info.sealed ? null : res.data, gen);
 
       // Refine with Cardmarket product ID only if we didn't already have one from thumbnail.
       // When hasCmId is true, the initial lookup already used the exact product ID.
@@ -899,11 +1233,14 @@
       const cmProductId = await cmIdPromise;
       if (requestGeneration !== gen || !cmProductId) return;
 
-      const refined = await sendMessage({
+      const refinedMsg = {
         type: 'FETCH_CARD_PRICE',
         cardName: info.name,
-        cardmarketProductId: cmProductId
-      });
+        cardmarketProductId: cmProductId,
+        condition: lookupMsg.condition,
+        language: lookupMsg.language
+      };
+      const refined = await sendMessage(refinedMsg);
 
       if (requestGeneration !== gen) return;
       if (refined.success) {
@@ -912,6 +1249,8 @@
             refined.data.setCode !== res.data?.setCode) {
           log('Refined with Cardmarket product ID:', cmProductId, 
             `(${res.data?.setCode}#${res.data?.collectorNumber} → ${refined.data.setCode}#${refined.data.collectorNumber})`);
+          staleGeneration = 0; // A pending refresh of the unrefined card must not overwrite this one
+          conditionLookup = { msg: refinedMsg, gen };
           renderPrice(refined.data);
         }
       }
@@ -922,6 +1261,154 @@
     }
   }
 
+  /** Re-price the card on screen for the condition/language picked in the popup. */
+  async function changeCondition() {
+    const condition = shadowRoot.querySelector('.mtg-condition-select').value;
+    const language = shadowRoot.querySelector('.mtg-language-select').value;
+    chrome.storage.local.set({ priceCondition: condition, priceLanguage: language });
+    if (!conditionLookup) return;
+    const { gen } = conditionLookup;
+    const msg = { ...conditionLookup.msg, condition, language };
+    conditionLookup = { msg, gen };
+    staleGeneration = 0; // A pending refresh still carries the old condition
+    try {
+      const res = await sendMessage(msg);
+      if (requestGeneration !== gen || conditionLookup?.msg !== msg || !res.success) return;
+      renderPrice(res.data, res.stale ? res.age : null);
+    } catch (e) { /* popup keeps the previous prices */ }
+  }
+
+  /** Fill in the "Cheapest printing" line once the background has priced the cheapest printings. */
+  async function showCheapestPrinting(cardName, gen) {
+    const el = shadowRoot.querySelector('.mtg-cheapest');
+    el.style.display = 'none';
+    try {
+      const res = await sendMessage({ type: 'FETCH_CHEAPEST_PRINTING', cardName });
+      if (requestGeneration !== gen || !res?.success) return;
+      const { price, setCode, finish } = res.data;
+      const priceEl = document.createElement('b');
+      priceEl.textContent = fmtPrice(convertUsd(price));
+      el.textContent = 'Cheapest printing: ';
+      el.append(priceEl, ' (' + setCode + (finish !== 'nonfoil' ? ' · ' + (finish === 'etched' ? 'Etched' : 'Foil') : '') + ')');
+      el.style.display = 'block';
+    } catch (e) { /* popup still shows the hovered printing */ }
+  }
+
+  /** List cheaper cards doing the same job under an over-threshold card. */
+  async function showBudgetAlternatives(data, gen) {
+    const el = shadowRoot.querySelector('.mtg-budget');
+    el.style.display = 'none';
+    if (!data || !MTGBudget.isOver(data, budgetThreshold)) return;
+    try {
+      const res = await sendMessage({ type: 'FETCH_BUDGET_ALTERNATIVES', card: data, maxPrice: budgetThreshold });
+      if (requestGeneration !== gen || !res?.data?.length) return;
+      const title = document.createElement('div');
+      title.className = 'mtg-budget-title';
+      title.textContent = 'Budget alternatives';
+      const rows = res.data.slice(0, BUDGET_HOVER_ROWS).map(alt => {
+        const row = document.createElement('a');
+        row.className = 'mtg-budget-row';
+        if (alt.link) row.href = alt.link;
+        row.target = '_blank';
+        row.rel = 'noopener';
+        const name = document.createElement('span');
+        name.textContent = alt.name;
+        const price = document.createElement('b');
+        price.textContent = fmtPrice(convertUsd(alt.price));
+        row.append(name, price);
+        return row;
+      });
+      el.replaceChildren(title, ...rows);
+      el.style.display = 'block';
+    } catch (e) { /* popup still shows the card's own prices */ }
+  }
+
+  // Fresh prices for a popup that was rendered from an expired cache entry
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg.type !== 'CARD_PRICE_UPDATED') return;
+    if (msg.requestId !== requestGeneration || msg.requestId !== staleGeneration) return;
+    staleGeneration = 0;
+    log('Fresh prices for:', msg.data.name);
+    renderPrice(msg.data);
+  });
+
+  // ─── CONTEXT MENU ───
+  // "Check MTG price" on a text selection: show the popup next to the selection.
+  // Stays open until the user clicks somewhere else on the page.
+  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.type !== 'SHOW_SELECTION_PRICE' || !popup) return;
+    const rect = selectionRect();
+    const info = { name: msg.cardName };
+    hidePopup();
+    showPopup(info, { clientX: rect.right, clientY: rect.bottom }, JSON.stringify(info));
+
+    const onOutsideClick = (e) => {
+      if (popup.contains(e.target)) return;
+      document.removeEventListener('mousedown', onOutsideClick, true);
+      if (currentCard === JSON.stringify(info)) hidePopup();
+    };
+    document.addEventListener('mousedown', onOutsideClick, true);
+    sendResponse({ shown: true });
+  });
+
+  /** Viewport rect of the current text selection (mouse position if there is none). */
+  function selectionRect() {
+    const sel = window.getSelection();
+    if (sel && sel.rangeCount > 0) {
+      const rect = sel.getRangeAt(0).getBoundingClientRect();
+      if (rect.width || rect.height) return rect;
+    }
+    return { right: mouseX, bottom: mouseY };
+  }
+
+  // "5m", "3h", "2d"
+  function formatAge(ms) {
+    const min = Math.round(ms / 60000);
+    if (min < 60) return min + 'm';
+    if (min < 48 * 60) return Math.round(min / 60) + 'h';
+    return Math.round(min / 1440) + 'd';
+  }
+
+  // ─── PRICE ALERT HELPERS ───
+  // Watchlist is owned by the background; read straight from storage for display.
+  function alertMatchesCard(alert, card) {
+    if (alert.card.tcgplayerId && card.tcgplayerId) return alert.card.tcgplayerId === card.tcgplayerId;
+    return alert.card.name === card.name && alert.card.set === card.set;
+  }
+
+  async function updateAlertToggle() {
+    const card = alertCard?.data;
+    if (!card) return;
+    const { priceAlerts } = await chrome.storage.local.get('priceAlerts');
+    if (alertCard?.data !== card) return; // Popup moved on to another card
+    const matches = (priceAlerts || []).filter(a => alertMatchesCard(a, card));
+    shadowRoot.querySelector('.mtg-alert-toggle').textContent = matches.length > 0
+      ? '🔔 Alert: ' + matches.map(a => a.direction + ' ' + a.label).join(', ')
+      : '🔔 Set price alert';
+  }
+
+  async function saveAlert() {
+    const value = parseFloat(shadowRoot.querySelector('.mtg-alert-target').value);
+    if (!alertCard || !(value > 0)) return;
+    const p = alertCard.data.nmPrices || alertCard.data.prices || {};
+    const res = await sendMessage({
+      type: 'ADD_PRICE_ALERT',
+      alert: {
+        card: alertCard.data,
+        foil: alertCard.foil,
+        direction: shadowRoot.querySelector('.mtg-alert-direction').value,
+        // Targets are entered in the user's currency, checked in USD
+        target: userCurrency === 'USD' ? value : value / exchangeRate,
+        label: fmtPrice(value),
+        currentPrice: alertCard.foil ? (p.marketFoil ?? p.midFoil) : (p.market ?? p.mid)
+      }
+    });
+    if (res?.success) {
+      shadowRoot.querySelector('.mtg-alert-form').style.display = 'none';
+      updateAlertToggle();
+    }
+  }
+
   function setState(s) {
     shadowRoot.querySelector('.mtg-popup-loading').style.display = s === 'loading' ? 'flex' : 'none';
     shadowRoot.querySelector('.mtg-popup-content').style.display = s === 'content' ? 'flex' : 'none';
@@ -930,7 +1417,20 @@
     popup.classList.add('mtg-popup-visible');
   }
 
-  function renderPrice(data) {
+  /** Legality badges under the set line, from the shared MTGLegality (legality.js). */
+  function renderLegality(el, data) {
+    const badges = MTGLegality.badges(data).map(({ text, cls, title }) => {
+      const b = document.createElement('span');
+      b.className = 'mtg-legal mtg-legal-' + cls;
+      b.textContent = text;
+      b.title = title;
+      return b;
+    });
+    el.replaceChildren(...badges);
+    el.style.display = badges.length ? 'flex' : 'none';
+  }
+
+  function renderPrice(data, staleAge = null) {
     const $ = s => shadowRoot.querySelector(s);
     const img = $('.mtg-popup-image');
     if (data.imageSmall) { img.src = data.imageSmall; img.style.display = 'block'; }
@@ -960,20 +1460,33 @@
     const setLine = data.set + (data.setCode ? ' (' + data.setCode + ')' : '');
     $('.mtg-popup-set').textContent = setLine;
     $('.mtg-popup-type').textContent = data.typeLine;
+    renderLegality($('.mtg-legality'), data);
+
+    // Condition/language the prices below are scaled to (cards only)
+    $('.mtg-condition').style.display = data.condition ? 'flex' : 'none';
+    if (data.condition) {
+      $('.mtg-condition-select').value = data.condition;
+      $('.mtg-language-select').value = data.language;
+      $('.mtg-condition-note').textContent = data.priceMultiplier !== 1
+        ? Math.round(data.priceMultiplier * 100) + '% of NM English'
+        : '';
+    }
 
-    const sym = CUR_SYM[userCurrency] || userCurrency;
+    const sym = MTGCurrency.symbol(userCurrency);
 
-    // Helper to convert USD to user currency
-    const convert = (usdVal) => {
-      if (usdVal == null) return null;
-      if (userCurrency === 'USD') return usdVal;
-      return usdVal * exchangeRate;
-    };
+    const convert = convertUsd;
 
     // Helper to set price in element with styling
     const setPrice = (el, row, val, label) => {
       if (val != null) {
         el.textContent = fmtPrice(val);
+        const secondary = fmtSecondary(val);
+        if (secondary) {
+          const small = document.createElement('small');
+          small.className = 'mtg-price-secondary';
+          small.textContent = '≈ ' + secondary;
+          el.append(small);
+        }
         el.className = 'mtg-price-value' + (val >= 10 ? ' mtg-price-high' : val >= 2 ? ' mtg-price-medium' : '');
         row.style.display = 'flex';
       } else {
@@ -992,7 +1505,8 @@
     // Check for foil type from card data
     const isEtched = data.isEtched || (data.finishes && data.finishes.includes('etched') && !data.finishes.includes('nonfoil'));
     
-    $('.mtg-section-title').textContent = sym + ' ' + userCurrency + ' (' + sourceLabel + ')';
+    const staleNote = staleAge != null ? ' · ' + formatAge(staleAge) + ' old, refreshing…' : '';
+    $('.mtg-section-title').textContent = sym + ' ' + userCurrency + ' (' + sourceLabel + ')' + staleNote;
 
     // ─── PRICE DISPLAY ───
     if (hasTcgcsv) {
@@ -1008,7 +1522,7 @@
         // Update section title with foil badge
         const titleEl = $('.mtg-section-title');
         const foilType = isEtched ? 'Foil Etched' : 'Foil';
-        titleEl.innerHTML = sym + ' ' + userCurrency + ' (' + sourceLabel + ' · <span class="mtg-foil-badge">' + foilType + '</span>)';
+        titleEl.innerHTML = sym + ' ' + userCurrency + ' (' + sourceLabel + ' · <span class="mtg-foil-badge">' + foilType + '</span>)' + staleNote;
       } else {
         // Normal card with optional foil variant
         low = convert(p.low);
@@ -1037,7 +1551,7 @@
         sourceLabel = 'No TCGPlayer listings';
       }
 
-      $('.mtg-section-title').textContent = sym + ' ' + userCurrency + ' (' + sourceLabel + ')';
+      $('.mtg-section-title').textContent = sym + ' ' + userCurrency + ' (' + sourceLabel + ')' + staleNote;
 
       // Hide Low/Market rows, only show as combined "normal" price
       $('.mtg-row-low').style.display = 'none';
@@ -1050,6 +1564,71 @@
       setPrice($('[data-price="foil"]'), $('.mtg-row-foil'), foil);
     }
 
+    // ─── CARDMARKET (price guide, in EUR as Cardmarket lists it) ───
+    const cm = data.cardmarket;
+    let cmShown = false;
+    shadowRoot.querySelectorAll('[data-cm]').forEach(el => {
+      const val = cm?.[el.dataset.cm] ?? null;
+      el.textContent = val != null ? MTGCurrency.format(val, 'EUR') : '';
+      el.className = 'mtg-price-value' + (val >= 10 ? ' mtg-price-high' : val >= 2 ? ' mtg-price-medium' : '');
+      el.parentElement.style.display = val != null ? 'flex' : 'none';
+      if (val != null) cmShown = true;
+    });
+    $('.mtg-cm-title').textContent = MTGCurrency.symbol('EUR') + ' EUR (Cardmarket)';
+    $('.mtg-cardmarket').style.display = cmShown ? 'block' : 'none';
+
+    // ─── CARD KINGDOM (retail vs. what they pay, USD) ───
+    const ck = data.cardkingdom;
+    // Foil figures for a hovered foil listing, or for cards CK lists in foil alone
+    const ckFoil = ck != null && (hoverFoil ? ck.retailFoil != null || ck.buyFoil != null : ck.retail == null && ck.buy == null);
+    const ckRetail = convert(ckFoil ? ck.retailFoil : ck?.retail);
+    const ckBuy = convert(ckFoil ? ck.buyFoil : ck?.buy);
+    setPrice($('[data-ck="retail"]'), $('[data-ck="retail"]').parentElement, ckRetail);
+    setPrice($('[data-ck="buy"]'), $('[data-ck="buy"]').parentElement, ckBuy);
+    if (ckRetail != null && ckBuy != null) {
+      const pct = document.createElement('small');
+      pct.className = 'mtg-price-secondary';
+      pct.textContent = Math.round(ckBuy / ckRetail * 100) + '% of retail';
+      $('[data-ck="buy"]').append(pct);
+    }
+    $('.mtg-ck-title').innerHTML = sym + ' ' + userCurrency + ' (Card Kingdom' +
+      (ckFoil ? ' · <span class="mtg-foil-badge">Foil</span>' : '') + ')';
+    $('.mtg-cardkingdom').style.display = ckRetail != null || ckBuy != null ? 'block' : 'none';
+
+    // ─── PRICE HISTORY ───
+    // Series, changes and sparkline come from the shared MTGHistory (history.js).
+    // Snapshots are NM English — labelled so when another condition/language is picked
+    const historyEl = $('.mtg-price-history');
+    const series = hasTcgcsv ? MTGHistory.series(data.priceHistory, isFoilOnly) : [];
+    if (series.length >= 2) {
+      historyEl.innerHTML =
+        MTGHistory.sparkline(series, { height: 24, cls: 'mtg-sparkline', up: 'mtg-spark-up', down: 'mtg-spark-down' }) +
+        '<div class="mtg-history-changes">' +
+          (data.condition && data.priceMultiplier !== 1 ? '<span class="mtg-history-change">NM English</span>' : '') +
+          MTGHistory.WINDOWS.map(days => {
+            const pct = MTGHistory.change(series, days);
+            const cls = pct == null ? '' : pct > 0 ? ' mtg-change-up' : pct < 0 ? ' mtg-change-down' : '';
+            const txt = pct == null ? '—' : (pct > 0 ? '+' : '') + pct.toFixed(1) + '%';
+            return '<span class="mtg-history-change' + cls + '">' + days + 'd ' + txt + '</span>';
+          }).join('') +
+        '</div>';
+      historyEl.style.display = 'block';
+    } else {
+      historyEl.style.display = 'none';
+    }
+
+    // ─── PRICE ALERT ───
+    alertCard = hasTcgcsv ? { data, foil: isFoilOnly } : null;
+    $('.mtg-alert').style.display = alertCard ? 'block' : 'none';
+    $('.mtg-alert-form').style.display = 'none';
+    if (alertCard) {
+      // Alerts are checked against near-mint English prices
+      const nm = data.nmPrices || p;
+      const current = convert(isFoilOnly ? (nm.marketFoil ?? nm.midFoil) : (nm.market ?? nm.mid));
+      $('.mtg-alert-target').value = current != null ? current.toFixed(2) : '';
+      updateAlertToggle();
+    }
+
     for (const [cls, key] of [['scryfall','scryfall'],['cardmarket','cardmarket'],['tcgplayer','tcgplayer'],['ebay','ebay']]) {
       const a = $('.mtg-link-' + cls);
       if (a) {
@@ -1218,9 +1797,10 @@
           el.style.fontSize = Math.min(15, 11 * scale) + 'px';
         });
 
-        // Section title
-        const sectionTitle = shadowRoot.querySelector('.mtg-section-title');
-        if (sectionTitle) sectionTitle.style.fontSize = Math.min(16, 12 * scale) + 'px';
+        // Section titles
+        shadowRoot.querySelectorAll('.mtg-section-title').forEach(el => {
+          el.style.fontSize = Math.min(16, 12 * scale) + 'px';
+        });
 
         // Oracle text
         const oracleEl = shadowRoot.querySelector('.mtg-popup-oracle');
@@ -1480,6 +2060,24 @@
         text-overflow: ellipsis;
       }
 
+      /* ─── Legality ─── */
+      .mtg-legality { display: none; flex-wrap: wrap; gap: 2px; margin-top: 3px; }
+      .mtg-legal {
+        padding: 0 3px;
+        font-size: 9px;
+        font-weight: 600;
+        line-height: 14px;
+        letter-spacing: 0.3px;
+        border-radius: 3px;
+        cursor: default;
+      }
+      .mtg-legal-legal { color: #8ac858; background: #1e3018; }
+      .mtg-legal-not_legal { color: #4a6464; background: #1a2428; }
+      .mtg-legal-banned { color: #e06050; background: #3a1c1a; text-decoration: line-through; }
+      .mtg-legal-restricted { color: #d0b050; background: #332c18; }
+      .mtg-legal-reserved { color: #e8d5a3; background: #3a3020; }
+      .mtg-legal-gamechanger { color: #c09ae8; background: #2a2040; }
+
       /* ─── Prices ─── */
       .mtg-popup-prices {
         padding: 8px 12px 6px;
@@ -1530,6 +2128,159 @@
       .mtg-price-value.mtg-price-medium { color: #d0b050; }
       .mtg-price-value.mtg-price-high { color: #e06050; }
 
+      .mtg-price-secondary {
+        margin-left: 5px;
+        font-size: 0.8em;
+        font-weight: 400;
+        color: #649090;
+      }
+
+      /* ─── Cardmarket ─── */
+      .mtg-cardmarket { display: none; }
+      .mtg-cm-title { margin-top: 4px; }
+
+      /* ─── Card Kingdom ─── */
+      .mtg-cardkingdom { display: none; }
+      .mtg-ck-title { margin-top: 4px; }
+
+      /* ─── Cheapest Printing ─── */
+      .mtg-cheapest {
+        display: none;
+        padding: 3px 4px 0;
+        font-size: 11px;
+        color: #649090;
+      }
+
+      .mtg-cheapest b { color: #7ab648; font-weight: 600; }
+
+      /* ─── Budget Alternatives ─── */
+      .mtg-budget { display: none; padding: 4px 4px 0; font-size: 11px; }
+      .mtg-budget-title { color: #649090; margin-bottom: 1px; }
+      .mtg-budget-row {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 1px 0 1px 8px;
+        color: #90acb0;
+        text-decoration: none;
+      }
+      .mtg-budget-row:hover { color: #c8d4d8; }
+      .mtg-budget-row span { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+      .mtg-budget-row b { color: #7ab648; font-weight: 600; flex-shrink: 0; font-variant-numeric: tabular-nums; }
+
+      /* ─── Price History ─── */
+      .mtg-price-history {
+        display: none;
+        padding: 4px 4px 0;
+        margin-top: 2px;
+        border-top: 1px solid #24383c;
+      }
+
+      .mtg-sparkline {
+        display: block;
+        width: 100%;
+        height: 24px;
+      }
+
+      .mtg-sparkline.mtg-spark-up { color: #7ab648; }
+      .mtg-sparkline.mtg-spark-down { color: #e06050; }
+
+      .mtg-history-changes {
+        display: flex;
+        justify-content: space-between;
+        padding-top: 2px;
+        font-size: 10px;
+        font-variant-numeric: tabular-nums;
+        color: #587c82;
+      }
+
+      .mtg-history-change.mtg-change-up { color: #7ab648; }
+      .mtg-history-change.mtg-change-down { color: #e06050; }
+
+      /* ─── Condition & Language ─── */
+      .mtg-condition {
+        display: none;
+        align-items: center;
+        gap: 4px;
+        padding: 0 4px 4px;
+      }
+
+      .mtg-condition select {
+        font-family: inherit;
+        font-size: 10px;
+        color: #c8d4d8;
+        background: #1c282c;
+        border: 1px solid #2e4248;
+        border-radius: 4px;
+        padding: 1px 2px;
+        outline: none;
+        cursor: pointer;
+      }
+
+      .mtg-condition-note {
+        font-size: 10px;
+        color: #587c82;
+        white-space: nowrap;
+      }
+
+      /* ─── Price Alert ─── */
+      .mtg-alert {
+        display: none;
+        padding: 4px 4px 0;
+      }
+
+      .mtg-alert-toggle {
+        font-size: 10px;
+        color: #587c82;
+        cursor: pointer;
+        user-select: none;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        transition: color 0.15s;
+      }
+
+      .mtg-alert-toggle:hover {
+        color: #c2ccd2;
+      }
+
+      .mtg-alert-form {
+        display: none;
+        align-items: center;
+        gap: 4px;
+        padding-top: 4px;
+      }
+
+      .mtg-alert-form select,
+      .mtg-alert-form input,
+      .mtg-alert-form button {
+        font-family: inherit;
+        font-size: 11px;
+        color: #c8d4d8;
+        background: #1c282c;
+        border: 1px solid #2e4248;
+        border-radius: 4px;
+        padding: 2px 4px;
+        outline: none;
+      }
+
+      .mtg-alert-form input {
+        flex: 1;
+        width: 0;
+        min-width: 40px;
+      }
+
+      .mtg-alert-form button {
+        cursor: pointer;
+        font-weight: 600;
+        color: #90b0b0;
+      }
+
+      .mtg-alert-form button:hover {
+        color: #c8d4d8;
+        border-color: #486468;
+      }
+
       /* ─── Oracle Text ─── */
       .mtg-popup-oracle-section {
         border-top: 1px solid #24383c;
@@ -1721,14 +2472,47 @@
               '<div class="mtg-popup-name"></div>' +
               '<div class="mtg-popup-type"></div>' +
               '<div class="mtg-popup-set"></div>' +
+              '<div class="mtg-legality"></div>' +
             '</div>' +
           '</div>' +
           '<div class="mtg-popup-prices">' +
+            '<div class="mtg-condition">' +
+              '<select class="mtg-condition-select" title="Condition">' +
+                PRICE_CONDITIONS.map(c => '<option value="' + c + '">' + c + '</option>').join('') +
+              '</select>' +
+              '<select class="mtg-language-select" title="Language">' +
+                PRICE_LANGUAGES.map(l => '<option value="' + l + '">' + l.toUpperCase() + '</option>').join('') +
+              '</select>' +
+              '<span class="mtg-condition-note"></span>' +
+            '</div>' +
             '<div class="mtg-section-title"></div>' +
             '<div class="mtg-price-row mtg-row-low"><span class="mtg-price-label">Min</span><span class="mtg-price-value" data-price="low"></span></div>' +
             '<div class="mtg-price-row mtg-row-mid"><span class="mtg-price-label">Avg</span><span class="mtg-price-value" data-price="mid"></span></div>' +
             '<div class="mtg-price-row mtg-row-market"><span class="mtg-price-label">Sold</span><span class="mtg-price-value" data-price="market"></span></div>' +
             '<div class="mtg-price-row mtg-row-foil"><span class="mtg-price-label"><span class="mtg-foil-badge">Foil</span></span><span class="mtg-price-value" data-price="foil"></span></div>' +
+            '<div class="mtg-cardmarket">' +
+              '<div class="mtg-section-title mtg-cm-title"></div>' +
+              '<div class="mtg-price-row"><span class="mtg-price-label">From</span><span class="mtg-price-value" data-cm="low"></span></div>' +
+              '<div class="mtg-price-row"><span class="mtg-price-label">Trend</span><span class="mtg-price-value" data-cm="trend"></span></div>' +
+              '<div class="mtg-price-row"><span class="mtg-price-label">30-day avg</span><span class="mtg-price-value" data-cm="avg30"></span></div>' +
+              '<div class="mtg-price-row"><span class="mtg-price-label"><span class="mtg-foil-badge">Foil</span> trend</span><span class="mtg-price-value" data-cm="trendFoil"></span></div>' +
+            '</div>' +
+            '<div class="mtg-cardkingdom">' +
+              '<div class="mtg-section-title mtg-ck-title"></div>' +
+              '<div class="mtg-price-row"><span class="mtg-price-label">Retail</span><span class="mtg-price-value" data-ck="retail"></span></div>' +
+              '<div class="mtg-price-row"><span class="mtg-price-label">Buylist</span><span class="mtg-price-value" data-ck="buy"></span></div>' +
+            '</div>' +
+            '<div class="mtg-price-history"></div>' +
+            '<div class="mtg-cheapest"></div>' +
+            '<div class="mtg-budget"></div>' +
+            '<div class="mtg-alert">' +
+              '<div class="mtg-alert-toggle">🔔 Set price alert</div>' +
+              '<div class="mtg-alert-form">' +
+                '<select class="mtg-alert-direction"><option value="below">below</option><option value="above">above</option></select>' +
+                '<input class="mtg-alert-target" type="number" min="0" step="0.01" />' +
+                '<button class="mtg-alert-save">Set</button>' +
+              '</div>' +
+            '</div>' +
           '</div>' +
           '<div class="mtg-popup-oracle-section hidden">' +
             '<div class="mtg-popup-oracle-toggle">Card Text ▼</div>' +
@@ -1763,6 +2547,21 @@
       toggleEl.textContent = oracleExpanded ? 'Card Text ▲' : 'Card Text ▼';
     });
 
+    // Price alert form
+    shadowRoot.querySelector('.mtg-alert-toggle').addEventListener('click', () => {
+      const form = shadowRoot.querySelector('.mtg-alert-form');
+      form.style.display = form.style.display === 'flex' ? 'none' : 'flex';
+    });
+    shadowRoot.querySelector('.mtg-alert-save').addEventListener('click', saveAlert);
+
+    // Condition / language selectors
+    shadowRoot.querySelector('.mtg-condition-select').addEventListener('change', changeCondition);
+    shadowRoot.querySelector('.mtg-language-select').addEventListener('change', changeCondition);
+    shadowRoot.querySelector('.mtg-alert-target').addEventListener('keydown', (e) => {
+      e.stopPropagation(); // Keep site keyboard shortcuts out of the input
+      if (e.key === 'Enter') saveAlert();
+    });
+
     popup.addEventListener('mouseenter', () => {
       clearTimeout(hideTimeout);
       clearTimeout(hoverTimeout);
@@ -1776,6 +2575,378 @@
     loadPosition();
   }
 
+  // ═══════════════════════════════════════════
+  // DECK VALUE PANEL
+  // Floating panel on decklist pages that sums the prices of all cards
+  // found by scanPage. Cards are read back from data-mtg-deck-card stamps
+  // on every scan, so SPA navigation and removed rows are handled for free.
+  // ═══════════════════════════════════════════
+
+  let deckPanel = null;          // Panel host element
+  let deckRoot = null;           // Shadow root of the panel
+  let deckPanelEnabled = true;   // Loaded from chrome.storage on init
+  let deckCollapsed = false;
+  let deckEntries = [];          // [{ key, info, name, qty, category }] for the current page
+  let deckPricing = false;       // True while a pricing run is in progress
+  const deckPrices = new Map();  // info key -> { value, data } | { error }
+  const deckSwaps = new Map();   // card name -> budget alternatives (null while loading)
+
+  const DECK_HEADER_SEL = 'h1, h2, h3, h4, h5, h6, th, [class*="header"], [class*="Header"], [class*="title"], [class*="Title"]';
+
+  function isDeckPage(config) {
+    return !!config.deckPath && config.deckPath.test(window.location.pathname);
+  }
+
+  /**
+   * Read the quantity for a deck row: "4x Lightning Bolt", "4 Lightning Bolt",
+   * or a separate quantity cell at the start of the row.
+   */
+  function deckQuantity(el) {
+    const row = el.closest('tr, li') || el.parentElement;
+    if (!row) return 1;
+    // Join text nodes with spaces so adjacent cells ("4" | "Lightning Bolt") stay separate
+    const parts = [];
+    const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) parts.push(walker.currentNode.textContent);
+    const text = parts.join(' ').replace(/\s+/g, ' ').trim();
+    const m = text.match(/^(\d{1,3})\s*x?\b/i) || text.match(/\b(\d{1,3})x\b/i);
+    const qty = m ? parseInt(m[1]) : 1;
+    return qty > 0 && qty < 250 ? qty : 1;
+  }
+
+  /**
+   * Find the category heading for a deck row ("Creatures (20)" → "Creatures").
+   * Walks up from the row and checks preceding siblings at each level for a header.
+   */
+  function deckCategory(el) {
+    let node = el.closest('tr, li') || el;
+    for (let depth = 0; node && node !== document.body && depth < 8; depth++) {
+      for (let sib = node.previousElementSibling; sib; sib = sib.previousElementSibling) {
+        if (sib.dataset?.mtgDeckCard || sib.querySelector?.('[data-mtg-deck-card]')) continue;
+        const isHeader = sib.matches(DECK_HEADER_SEL) || (sib.tagName === 'TR' && sib.querySelector('th'));
+        if (!isHeader) continue;
+        const label = (sib.textContent || '')
+          .replace(/\(\s*\d+\s*\)/g, '')
+          .replace(/[\d$€£,.]+\s*$/g, '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        if (label.length >= 2 && label.length <= 40 && /[a-z]/i.test(label)) return label;
+      }
+      node = node.parentElement;
+    }
+    return 'Other';
+  }
+
+  /** Collect unique deck cards from stamped elements currently in the DOM. */
+  function collectDeckEntries() {
+    const byKey = new Map();
+    document.querySelectorAll('[data-mtg-deck-card]').forEach(el => {
+      let info;
+      try { info = JSON.parse(el.dataset.mtgDeckCard); } catch (e) { return; }
+      if (!info?.name || info.sealed) return;
+      const category = deckCategory(el);
+      const qty = deckQuantity(el);
+      // The same card is often stamped twice (link + name span) — keep one per category
+      const key = category + '|' + info.name.toLowerCase();
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.qty = Math.max(existing.qty, qty);
+        return;
+      }
+      byKey.set(key, { key: JSON.stringify(info), info, name: info.name, qty, category });
+    });
+    return [...byKey.values()];
+  }
+
+  /** Per-copy price in the user's currency (market → avg → low, foil if foil-only). */
+  function deckUnitPrice(data) {
+    const p = data.prices || {};
+    if (p.source === 'tcgcsv') {
+      return convertUsd(p.market ?? p.mid ?? p.low ?? p.marketFoil ?? p.midFoil ?? p.lowFoil ?? null);
+    }
+    return getPrice(p, 'normal') ?? getPrice(p, 'foil');
+  }
+
+  function updateDeckPanel(config) {
+    if (!deckPanelEnabled || !isDeckPage(config)) {
+      if (deckPanel) deckPanel.style.display = 'none';
+      deckEntries = [];
+      return;
+    }
+    deckEntries = collectDeckEntries();
+    if (deckEntries.length === 0) return;
+    if (!deckPanel) createDeckPanel();
+    deckPanel.style.display = '';
+    renderDeckPanel();
+  }
+
+  async function priceDeck() {
+    if (deckPricing) return;
+    deckPricing = true;
+    renderDeckPanel();
+    try {
+      // Entries may grow while pricing (late SPA rows) — loop until all are done
+      let pending;
+      while ((pending = deckEntries.filter(e => !deckPrices.has(e.key))).length > 0) {
+        let results = [];
+        try {
+          const res = await sendMessage({
+            type: 'FETCH_CARD_PRICES_BATCH',
+            identifiers: pending.map(({ info }) => ({
+              name: info.name,
+              tcgplayerId: info.tcgplayerId || null,
+              setHint: info.setHint || null,
+              setCode: info.setCode || null,
+              collectorNumber: info.collectorNumber || null,
+              scryfallId: info.scryfallId || null
+            }))
+          });
+          results = res?.data || [];
+        } catch (e) {
+          log('Deck batch lookup failed:', e.message);
+        }
+        pending.forEach((entry, i) => {
+          const r = results[i];
+          if (r?.success) {
+            deckPrices.set(entry.key, { value: deckUnitPrice(r.data), data: r.data });
+          } else {
+            deckPrices.set(entry.key, { error: r?.error || 'extension error' });
+          }
+        });
+        renderDeckPanel();
+      }
+    } finally {
+      deckPricing = false;
+      renderDeckPanel();
+    }
+    findDeckSwaps();
+  }
+
+  /** Fetch budget alternatives for the priciest deck cards over the threshold. */
+  async function findDeckSwaps() {
+    const over = MTGBudget.swapCandidates(deckEntries.map(e => deckPrices.get(e.key)?.data), budgetThreshold)
+      .filter(data => !deckSwaps.has(data.name));
+    for (const data of over) {
+      deckSwaps.set(data.name, null);
+      let alternatives = [];
+      try {
+        const res = await sendMessage({ type: 'FETCH_BUDGET_ALTERNATIVES', card: data, maxPrice: budgetThreshold });
+        alternatives = res?.data || [];
+      } catch (e) {
+        log('Budget alternatives failed:', e.message);
+      }
+      deckSwaps.set(data.name, alternatives);
+      renderDeckPanel();
+    }
+  }
+
+  function renderDeckPanel() {
+    if (!deckRoot) return;
+    const $ = s => deckRoot.querySelector(s);
+    const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const totalCards = deckEntries.reduce((sum, e) => sum + e.qty, 0);
+    let total = 0;
+    let priced = 0;
+    let missing = 0;
+    const categories = new Map();
+    const lines = [];
+
+    for (const e of deckEntries) {
+      const price = deckPrices.get(e.key);
+      if (!price) continue;
+      if (price.error || price.value == null) { missing++; continue; }
+      const lineTotal = price.value * e.qty;
+      total += lineTotal;
+      priced++;
+      categories.set(e.category, (categories.get(e.category) || 0) + lineTotal);
+      lines.push({ name: e.name, qty: e.qty, unit: price.value, total: lineTotal });
+    }
+
+    $('.mtg-deck-body').style.display = deckCollapsed ? 'none' : '';
+    $('.mtg-deck-toggle').textContent = deckCollapsed ? '▴' : '▾';
+    $('.mtg-deck-total-value').textContent = priced > 0 ? fmtPrice(total) : '—';
+
+    let status = totalCards + ' cards';
+    if (deckPricing) status += ' · pricing ' + (priced + missing) + '/' + deckEntries.length + '…';
+    else if (priced > 0) status += ' · ' + priced + ' priced' + (missing ? ', ' + missing + ' without price' : '');
+    $('.mtg-deck-status').textContent = status;
+
+    const btn = $('.mtg-deck-price-btn');
+    const unpriced = deckEntries.some(e => !deckPrices.has(e.key));
+    btn.style.display = !deckPricing && unpriced ? '' : 'none';
+    btn.textContent = priced + missing > 0 ? 'Price new cards' : 'Price deck';
+
+    const catEl = $('.mtg-deck-categories');
+    const sortedCats = [...categories.entries()].sort((a, b) => b[1] - a[1]);
+    catEl.innerHTML = sortedCats.map(([cat, sum]) =>
+      '<div class="mtg-deck-row"><span class="mtg-deck-label">' + esc(cat) + '</span>' +
+      '<span class="mtg-deck-value">' + esc(fmtPrice(sum)) + '</span></div>'
+    ).join('');
+    $('.mtg-deck-categories-title').style.display = sortedCats.length > 1 ? '' : 'none';
+    catEl.style.display = sortedCats.length > 1 ? '' : 'none';
+
+    const top = lines.sort((a, b) => b.unit - a.unit).slice(0, 5);
+    $('.mtg-deck-top').innerHTML = top.map(l =>
+      '<div class="mtg-deck-row"><span class="mtg-deck-label">' + (l.qty > 1 ? l.qty + '× ' : '') + esc(l.name) + '</span>' +
+      '<span class="mtg-deck-value' + (l.unit >= 10 ? ' mtg-price-high' : l.unit >= 2 ? ' mtg-price-medium' : '') + '">' + esc(fmtPrice(l.unit)) + '</span></div>'
+    ).join('');
+    $('.mtg-deck-top-title').style.display = top.length ? '' : 'none';
+
+    const swaps = [...deckSwaps].filter(([name, alts]) => alts?.length && deckEntries.some(e => e.name === name));
+    $('.mtg-deck-swaps').innerHTML = swaps.map(([name, alts]) =>
+      '<div class="mtg-deck-row"><span class="mtg-deck-label mtg-deck-swap-card">' + esc(name) + '</span></div>' +
+      alts.slice(0, 2).map(alt =>
+        '<div class="mtg-deck-row mtg-deck-swap"><a class="mtg-deck-label" href="' + esc(alt.link || '#') + '" target="_blank" rel="noopener">→ ' + esc(alt.name) + '</a>' +
+        '<span class="mtg-deck-value">' + esc(fmtPrice(convertUsd(alt.price))) + '</span></div>'
+      ).join('')
+    ).join('');
+    $('.mtg-deck-swaps-title').style.display = swaps.length ? '' : 'none';
+  }
+
+  function createDeckPanel() {
+    deckPanel = document.createElement('div');
+    deckPanel.id = 'mtg-deck-panel';
+    deckRoot = deckPanel.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      :host {
+        position: fixed;
+        right: 16px;
+        bottom: 16px;
+        z-index: 2147483646;
+        width: 240px;
+        font-family: 'Segoe UI', -apple-system, BlinkMacSystemFont, Roboto, sans-serif;
+        font-size: 12px;
+        color: #c2ccd2;
+      }
+
+      .mtg-deck-inner {
+        background: #161d21;
+        border: 1px solid #24383c;
+        border-radius: 10px;
+        box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+        overflow: hidden;
+        line-height: 1.4;
+        text-align: left;
+      }
+
+      .mtg-deck-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 6px 10px;
+        background: #1c282c;
+        border-bottom: 1px solid #24383c;
+        cursor: pointer;
+        user-select: none;
+      }
+
+      .mtg-deck-title {
+        font-family: 'Cormorant Garamond', Georgia, 'Palatino Linotype', serif;
+        font-weight: 700;
+        font-size: 14px;
+        color: #e8d5a3;
+      }
+
+      .mtg-deck-toggle { color: #649090; font-size: 12px; }
+
+      .mtg-deck-body { padding: 8px 10px 10px; max-height: 60vh; overflow-y: auto; }
+
+      .mtg-deck-total {
+        display: flex;
+        justify-content: space-between;
+        align-items: baseline;
+      }
+      .mtg-deck-total-label { font-size: 11px; color: #587c82; }
+      .mtg-deck-total-value {
+        font-weight: 700;
+        font-size: 18px;
+        font-variant-numeric: tabular-nums;
+        color: #7ab648;
+      }
+
+      .mtg-deck-status { font-size: 10px; color: #4a6464; margin-bottom: 6px; }
+
+      .mtg-deck-price-btn {
+        width: 100%;
+        padding: 5px 6px;
+        margin-bottom: 6px;
+        font-size: 11px;
+        font-weight: 600;
+        color: #e0eef8;
+        background: #1e5a8a;
+        border: 1px solid #2a6a9e;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+      .mtg-deck-price-btn:hover { background: #246ca0; }
+
+      .mtg-deck-section-title {
+        font-family: 'Cormorant Garamond', Georgia, 'Palatino Linotype', serif;
+        font-weight: 500;
+        font-size: 12px;
+        color: #649090;
+        padding: 4px 0 2px;
+        margin-bottom: 2px;
+        border-bottom: 1px solid #24383c;
+      }
+
+      .mtg-deck-row {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 2px 4px;
+      }
+      .mtg-deck-label {
+        font-size: 11px;
+        color: #90acb0;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .mtg-deck-value {
+        font-weight: 600;
+        font-variant-numeric: tabular-nums;
+        color: #7ab648;
+        flex-shrink: 0;
+      }
+      .mtg-deck-value.mtg-price-medium { color: #d0b050; }
+      .mtg-deck-value.mtg-price-high { color: #e06050; }
+      .mtg-deck-swap-card { color: #c2ccd2; }
+      .mtg-deck-swap { padding-left: 10px; }
+      .mtg-deck-swap a { text-decoration: none; }
+      .mtg-deck-swap a:hover { color: #c8d4d8; }
+    `;
+
+    const container = document.createElement('div');
+    container.className = 'mtg-deck-inner';
+    container.innerHTML =
+      '<div class="mtg-deck-header"><span class="mtg-deck-title">Deck Value</span><span class="mtg-deck-toggle">▾</span></div>' +
+      '<div class="mtg-deck-body">' +
+        '<div class="mtg-deck-total"><span class="mtg-deck-total-label">Total (' + userCurrency + ')</span><span class="mtg-deck-total-value">—</span></div>' +
+        '<div class="mtg-deck-status"></div>' +
+        '<button class="mtg-deck-price-btn">Price deck</button>' +
+        '<div class="mtg-deck-section-title mtg-deck-categories-title">Categories</div>' +
+        '<div class="mtg-deck-categories"></div>' +
+        '<div class="mtg-deck-section-title mtg-deck-top-title">Most expensive</div>' +
+        '<div class="mtg-deck-top"></div>' +
+        '<div class="mtg-deck-section-title mtg-deck-swaps-title">Budget swaps</div>' +
+        '<div class="mtg-deck-swaps"></div>' +
+      '</div>';
+
+    deckRoot.appendChild(style);
+    deckRoot.appendChild(container);
+    document.body.appendChild(deckPanel);
+
+    deckRoot.querySelector('.mtg-deck-header').addEventListener('click', () => {
+      deckCollapsed = !deckCollapsed;
+      renderDeckPanel();
+    });
+    deckRoot.querySelector('.mtg-deck-price-btn').addEventListener('click', priceDeck);
+  }
+
   // ─── BOOTSTRAP ───
   if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
   else init();
@@ -0,0 +1,89 @@
+// MTG Card Price Checker - Currency
+// Shared by the hover popup (content.js), the toolbar popup and the collection
+// page, which all load this file first. Picks the display currency — the
+// "currency" setting, else the browser language — and formats amounts with
+// Intl.NumberFormat. USD rates come from the background (GET_EXCHANGE_RATE).
+
+globalThis.MTGCurrency = globalThis.MTGCurrency || (() => {
+  const LOCALE_TO_CUR = {
+    'de': 'EUR', 'fr': 'EUR', 'es': 'EUR', 'it': 'EUR', 'nl': 'EUR', 'pt': 'EUR',
+    'el': 'EUR', 'fi': 'EUR', 'sk': 'EUR', 'sl': 'EUR', 'et': 'EUR', 'lv': 'EUR',
+    'lt': 'EUR', 'mt': 'EUR', 'ga': 'EUR', 'be': 'EUR', 'ie': 'EUR',
+    'en-GB': 'GBP', 'en-AU': 'AUD', 'en-CA': 'CAD', 'en-NZ': 'NZD',
+    'ja': 'JPY', 'zh': 'CNY', 'ko': 'KRW',
+    'sv': 'SEK', 'nb': 'NOK', 'nn': 'NOK', 'no': 'NOK', 'da': 'DKK',
+    'pl': 'PLN', 'cs': 'CZK', 'hu': 'HUF', 'ro': 'RON', 'bg': 'BGN',
+    'tr': 'TRY', 'ru': 'RUB', 'uk': 'UAH',
+    'pt-BR': 'BRL', 'es-MX': 'MXN', 'en-IN': 'INR',
+    'he': 'ILS', 'th': 'THB', 'zh-TW': 'TWD', 'zh-HK': 'HKD',
+  };
+
+  // Offered by the settings picker, in this order
+  const CURRENCIES = [
+    'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'KRW', 'TWD', 'HKD',
+    'INR', 'THB', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'RON', 'BGN', 'TRY',
+    'RUB', 'UAH', 'ILS', 'BRL', 'MXN',
+  ];
+
+  const formatters = new Map();
+
+  function browserLanguage() {
+    return navigator.language || navigator.userLanguage || 'en-US';
+  }
+
+  /** Currency for the browser language (the "Auto" setting) */
+  function detect() {
+    const lang = browserLanguage();
+    return LOCALE_TO_CUR[lang] || LOCALE_TO_CUR[lang.split('-')[0]] || 'USD';
+  }
+
+  function formatter(currency) {
+    if (!formatters.has(currency)) {
+      formatters.set(currency, new Intl.NumberFormat(browserLanguage(), { style: 'currency', currency }));
+    }
+    return formatters.get(currency);
+  }
+
+  /** "$1.50", "1,50 €", "¥150" — grouping and decimals as the browser language writes them */
+  function format(val, currency) {
+    if (val == null) return null;
+    return formatter(currency).format(val);
+  }
+
+  /** Bare currency symbol for section labels ("€", "CA$") */
+  function symbol(currency) {
+    return formatter(currency).formatToParts(0).find(part => part.type === 'currency')?.value || currency;
+  }
+
+  /**
+   * Read the currency settings and fetch their USD rates through `send`
+   * (the page's runtime.sendMessage). A currency without a rate falls back
+   * to USD (primary) or is dropped (secondary).
+   * Resolves { currency, rate, secondary, secondaryRate }; secondary is '' when off.
+   */
+  async function load(send) {
+    const { currency, secondaryCurrency } = await chrome.storage.local.get(['currency', 'secondaryCurrency']);
+    const rateOf = async (cur) => {
+      if (cur === 'USD') return 1;
+      try {
+        return (await send({ type: 'GET_EXCHANGE_RATE', currency: cur }))?.rate || null;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    const primary = currency || detect();
+    const secondary = secondaryCurrency && secondaryCurrency !== primary ? secondaryCurrency : '';
+    const [rate, secondaryRate] = await Promise.all([rateOf(primary), secondary ? rateOf(secondary) : null]);
+    const resolved = rate ? primary : 'USD';
+    const showSecondary = secondaryRate != null && secondary !== resolved;
+    return {
+      currency: resolved,
+      rate: rate || 1,
+      secondary: showSecondary ? secondary : '',
+      secondaryRate: showSecondary ? secondaryRate : null,
+    };
+  }
+
+  return { CURRENCIES, detect, format, symbol, load };
+})();
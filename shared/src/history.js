@@ -0,0 +1,48 @@
+// MTG Card Price Checker - Price history
+// Turns the TCGCSV snapshots the background records (one per day, last 90
+// days) into a price series, % changes and a sparkline SVG. content.js and
+// popup.js lay out the change labels themselves.
+
+globalThis.MTGHistory = globalThis.MTGHistory || (() => {
+  const WINDOWS = [7, 30, 90]; // Days shown as % changes
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /** Market price per day (Avg when there were no sales), foil prices for foil-only cards */
+  function series(history, foil) {
+    return (history || [])
+      .map(pt => ({ t: Date.parse(pt.d), v: foil ? (pt.marketFoil ?? pt.midFoil) : (pt.market ?? pt.mid) }))
+      .filter(pt => pt.v != null);
+  }
+
+  /** % change vs. the newest point at least `days` old; null until the history is that long */
+  function change(points, days) {
+    const last = points[points.length - 1];
+    let base = null;
+    for (const pt of points) {
+      if (pt.t <= last.t - days * DAY_MS) base = pt;
+    }
+    if (!base || !base.v) return null;
+    return (last.v - base.v) / base.v * 100;
+  }
+
+  /**
+   * Sparkline of at least two points. `cls` is the SVG's class; `up` or
+   * `down` is added for the overall trend, so each page keeps its own names.
+   */
+  function sparkline(points, { height, cls, up, down }) {
+    const W = 100, H = height;
+    const t0 = points[0].t, t1 = points[points.length - 1].t;
+    const vals = points.map(pt => pt.v);
+    const min = Math.min(...vals), max = Math.max(...vals);
+    const pts = points.map(pt => {
+      const x = t1 > t0 ? (pt.t - t0) / (t1 - t0) * W : 0;
+      const y = max > min ? H - 2 - (pt.v - min) / (max - min) * (H - 4) : H / 2;
+      return x.toFixed(1) + ',' + y.toFixed(1);
+    }).join(' ');
+    const trend = vals[vals.length - 1] >= vals[0] ? up : down;
+    return `<svg class="${cls} ${trend}" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">` +
+      `<polyline points="${pts}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke"/></svg>`;
+  }
+
+  return { WINDOWS, series, change, sparkline };
+})();
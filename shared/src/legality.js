@@ -0,0 +1,31 @@
+// MTG Card Price Checker - Legality badges
+// Badge text and tooltips for a card's format legalities and its Reserved List /
+// Game Changer flags. content.js and popup.js render them in their own markup.
+
+globalThis.MTGLegality = globalThis.MTGLegality || (() => {
+  // [format key, badge text, format name] — the formats background.js keeps
+  const FORMATS = [
+    ['commander', 'CMD', 'Commander'], ['modern', 'MOD', 'Modern'], ['pioneer', 'PIO', 'Pioneer'],
+    ['standard', 'STD', 'Standard'], ['legacy', 'LEG', 'Legacy'], ['pauper', 'PAU', 'Pauper']
+  ];
+  const STATUS_TEXT = { legal: 'Legal', not_legal: 'Not legal', banned: 'Banned', restricted: 'Restricted' };
+
+  /**
+   * Badges for a card: [{ text, cls, title }], `cls` being the legality status,
+   * 'reserved' or 'gamechanger'. Empty for products and old cache entries.
+   */
+  function badges(data) {
+    const legalities = data.legalities || {};
+    const list = FORMATS.filter(([key]) => STATUS_TEXT[legalities[key]]).map(([key, text, format]) => ({
+      text,
+      cls: legalities[key],
+      title: `${format}: ${STATUS_TEXT[legalities[key]]}` +
+        (key === 'commander' && data.edhrecRank ? ` · EDHREC rank #${data.edhrecRank.toLocaleString()}` : '')
+    }));
+    if (data.reserved) list.push({ text: 'RL', cls: 'reserved', title: 'Reserved List — Wizards will never reprint it' });
+    if (data.gameChanger) list.push({ text: 'GC', cls: 'gamechanger', title: 'Commander Game Changer' });
+    return list;
+  }
+
+  return { badges };
+})();
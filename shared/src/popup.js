@@ -15,6 +15,7 @@ let selectedIndex = -1; // Currently highlighted suggestion (-1 = none)
 let printings = [];      // All printings for the current card
 let printingIndex = -1;  // Current printing index (-1 = initial result)
 let currentCardName = ''; // Card name for printing lookup
+let resultData = null;    // Card or product in the result view (re-rendered on currency change)
 
 // ─── Oracle text state ───
 let oracleExpanded = false;
@@ -22,46 +23,32 @@ let oracleExpanded = false;
 // ─── Set filter state ───
 let setSelectedIndex = -1;  // Currently highlighted set suggestion
 
-// ─── Currency state (same logic as content.js hover popup) ───
-const LOCALE_TO_CUR = {
-  'de': 'EUR', 'fr': 'EUR', 'es': 'EUR', 'it': 'EUR', 'nl': 'EUR', 'pt': 'EUR',
-  'el': 'EUR', 'fi': 'EUR', 'sk': 'EUR', 'sl': 'EUR', 'et': 'EUR', 'lv': 'EUR',
-  'lt': 'EUR', 'mt': 'EUR', 'ga': 'EUR', 'be': 'EUR', 'ie': 'EUR',
-  'en-GB': 'GBP', 'en-AU': 'AUD', 'en-CA': 'CAD', 'en-NZ': 'NZD',
-  'ja': 'JPY', 'zh': 'CNY', 'ko': 'KRW',
-  'sv': 'SEK', 'nb': 'NOK', 'nn': 'NOK', 'no': 'NOK', 'da': 'DKK',
-  'pl': 'PLN', 'cs': 'CZK', 'hu': 'HUF', 'ro': 'RON', 'bg': 'BGN',
-  'tr': 'TRY', 'ru': 'RUB', 'uk': 'UAH',
-  'pt-BR': 'BRL', 'es-MX': 'MXN', 'en-IN': 'INR',
-  'he': 'ILS', 'th': 'THB', 'zh-TW': 'TWD', 'zh-HK': 'HKD',
-};
+// ─── Query search state (full Scryfall syntax, e.g. "t:dragon c:r usd<5") ───
+const QUERY_SYNTAX = /(^|\s)[-!]?[a-z]+(:|[<>]=?|!=|=)\S/i;
+const queryResultsEl = document.getElementById('queryResults');
+const queryBackEl = document.getElementById('queryBack');
+let queryText = '';    // Query behind the current result list
+let queryCursor = null; // Background's pointer to the next page (null = last page)
+let queryCards = [];   // Cards in the list, by row index
+let querySeq = 0;      // Discards pages from superseded searches
 
-const CUR_SYM = {
-  USD: '$', EUR: '€', GBP: '£', JPY: '¥', CAD: 'CA$', AUD: 'A$', CHF: 'CHF',
-  SEK: 'kr', NOK: 'kr', DKK: 'kr', PLN: 'zł', CZK: 'Kč', HUF: 'Ft',
-  BRL: 'R$', MXN: 'MX$', CNY: '¥', KRW: '₩', TRY: '₺', INR: '₹',
-  RON: 'lei', BGN: 'лв', RUB: '₽', UAH: '₴', ILS: '₪', THB: '฿',
-  NZD: 'NZ$', TWD: 'NT$', HKD: 'HK$',
-};
+// ─── Compare printings state ───
+let compareName = '';  // Card the compare list was built for ('' = not loaded)
+let compareRows = [];  // Rows in the compare list, cheapest first
+
+// ─── Search mode state ───
+let searchMode = 'cards';  // 'cards' or 'sealed' (booster boxes, bundles, precons)
+let sealedResults = [];    // Products behind the current sealed suggestions
 
+// ─── Currency state (shared MTGCurrency, see currency.js) ───
 let userCurrency = 'USD';
 let exchangeRate = 1;
+let secondaryCurrency = ''; // Shown in small text under prices ('' = off)
+let secondaryRate = null;
 
-function detectCurrency() {
-  const lang = navigator.language || navigator.userLanguage || 'en-US';
-  userCurrency = LOCALE_TO_CUR[lang] || LOCALE_TO_CUR[lang.split('-')[0]] || 'USD';
-}
-
-async function loadExchangeRate() {
-  if (userCurrency === 'USD') return;
-  try {
-    const res = await chrome.runtime.sendMessage({ type: 'GET_EXCHANGE_RATE', currency: userCurrency });
-    if (res?.rate) {
-      exchangeRate = res.rate;
-    }
-  } catch (e) {
-    console.error('Exchange rate error:', e);
-  }
+async function loadCurrency() {
+  ({ currency: userCurrency, rate: exchangeRate, secondary: secondaryCurrency, secondaryRate } =
+    await MTGCurrency.load(msg => chrome.runtime.sendMessage(msg)));
 }
 
 /** Convert a USD value to the user's local currency */
@@ -71,21 +58,50 @@ function convert(usdVal) {
   return usdVal * exchangeRate;
 }
 
-/** Format a price value with the user's currency symbol */
+/** Format a price value in the user's currency */
 function fmtPrice(val) {
-  if (val == null) return null;
-  const sym = CUR_SYM[userCurrency] || userCurrency;
-  const noDecimals = userCurrency === 'JPY' || userCurrency === 'KRW';
-  return sym + (noDecimals ? Math.round(val).toString() : val.toFixed(2));
+  return MTGCurrency.format(val, userCurrency);
 }
 
+/** A price in the user's currency, restated in the secondary one (null when off) */
+function fmtSecondary(val) {
+  if (val == null || !secondaryCurrency) return null;
+  return MTGCurrency.format(val / exchangeRate * secondaryRate, secondaryCurrency);
+}
+
+// ─── Condition & language (prices are scaled in the background, see applyCondition) ───
+const PRICE_CONDITIONS = {
+  NM: 'Near Mint', LP: 'Lightly Played', MP: 'Moderately Played', HP: 'Heavily Played', DMG: 'Damaged'
+};
+const PRICE_LANGUAGES = {
+  en: 'English', de: 'German', fr: 'French', it: 'Italian', es: 'Spanish', pt: 'Portuguese',
+  ja: 'Japanese', ko: 'Korean', ru: 'Russian', zhs: 'Chinese (Simplified)', zht: 'Chinese (Traditional)'
+};
+let priceCondition = 'NM';
+let priceLanguage = 'en';
+
 // ─── Initialize currency on popup open ───
-detectCurrency();
-loadExchangeRate();
+const currencyLoad = loadCurrency();
 
 // Focus input on open
 searchInput.focus();
 
+// ─── Pending search from the "Check MTG price" context menu ───
+// Set by the background when the page had no hover popup to show it in.
+// The popup can open before the background's write lands, so listen for it too.
+const PENDING_SEARCH_MAX_AGE = 5 * 60 * 1000;
+function runPendingSearch(pendingSearch) {
+  if (!pendingSearch) return;
+  chrome.storage.local.remove('pendingSearch');
+  if (Date.now() - pendingSearch.ts > PENDING_SEARCH_MAX_AGE) return;
+  searchInput.value = pendingSearch.query;
+  fetchCard(pendingSearch.query);
+}
+chrome.storage.local.get('pendingSearch', ({ pendingSearch }) => runPendingSearch(pendingSearch));
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.pendingSearch) runPendingSearch(changes.pendingSearch.newValue);
+});
+
 // ─── Oracle text toggle ───
 document.getElementById('oracleToggle').addEventListener('click', () => {
   const textEl = document.getElementById('oracleText');
@@ -95,13 +111,43 @@ document.getElementById('oracleToggle').addEventListener('click', () => {
   toggleEl.textContent = oracleExpanded ? 'Card Text ▲' : 'Card Text ▼';
 });
 
+// ─── Compare printings toggle ───
+document.getElementById('compareToggle').addEventListener('click', () => {
+  const bodyEl = document.getElementById('compareBody');
+  const open = bodyEl.style.display === 'none';
+  bodyEl.style.display = open ? 'block' : 'none';
+  document.getElementById('compareToggle').textContent = open ? 'Compare Printings ▲' : 'Compare Printings ▼';
+  if (open && compareName !== currentCardName) loadComparison(currentCardName);
+});
+
+// ─── Search mode toggle ───
+document.querySelectorAll('#searchMode .mode-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    if (btn.dataset.mode === searchMode) return;
+    searchMode = btn.dataset.mode;
+    document.querySelectorAll('#searchMode .mode-btn').forEach(b => {
+      b.classList.toggle('active', b === btn);
+    });
+    searchInput.placeholder = searchMode === 'sealed' ? 'Search sealed product...' : 'Card name or Scryfall query...';
+    document.getElementById('setFilterRow').style.display = searchMode === 'sealed' ? 'none' : '';
+    suggestionsEl.innerHTML = '';
+    sealedResults = [];
+    hideQueryResults();
+    resetSetField();
+    searchInput.focus();
+    if (searchInput.value.trim()) searchInput.dispatchEvent(new Event('input'));
+  });
+});
+
 // ─── Autocomplete search ───
 searchInput.addEventListener('input', () => {
   clearTimeout(searchTimeout);
   selectedIndex = -1;
   const query = searchInput.value.trim();
+  const sealed = searchMode === 'sealed';
 
-  if (query.length < 2) {
+  // Scryfall syntax has no autocomplete — Enter runs the search
+  if (query.length < (sealed ? 3 : 2) || (!sealed && QUERY_SYNTAX.test(query))) {
     suggestionsEl.innerHTML = '';
     return;
   }
@@ -109,19 +155,22 @@ searchInput.addEventListener('input', () => {
   searchTimeout = setTimeout(async () => {
     try {
       const response = await chrome.runtime.sendMessage({
-        type: 'SEARCH_CARDS',
+        type: sealed ? 'SEARCH_SEALED' : 'SEARCH_CARDS',
         query: query,
       });
+      // Mode switched while the search was running
+      if (sealed !== (searchMode === 'sealed')) return;
 
       if (response.success && response.data.length > 0) {
-        renderSuggestions(response.data.slice(0, 6));
+        if (sealed) renderSealedSuggestions(response.data);
+        else renderSuggestions(response.data.slice(0, 6));
       } else {
         suggestionsEl.innerHTML = '';
       }
     } catch (err) {
       console.error(err);
     }
-  }, 250);
+  }, sealed ? 400 : 250);
 });
 
 // ─── Keyboard navigation ───
@@ -150,7 +199,16 @@ searchInput.addEventListener('keydown', (e) => {
 
   } else if (e.key === 'Enter') {
     e.preventDefault();
-    if (selectedIndex >= 0 && items[selectedIndex]) {
+    if (searchMode === 'sealed') {
+      const query = searchInput.value.trim();
+      const item = sealedResults[Math.max(selectedIndex, 0)] || (query && { name: query });
+      if (item) {
+        searchInput.value = item.name;
+        suggestionsEl.innerHTML = '';
+        selectedIndex = -1;
+        fetchSealed(item);
+      }
+    } else if (selectedIndex >= 0 && items[selectedIndex]) {
       const name = items[selectedIndex].dataset.name;
       searchInput.value = name;
       suggestionsEl.innerHTML = '';
@@ -161,7 +219,8 @@ searchInput.addEventListener('keydown', (e) => {
       if (query) {
         suggestionsEl.innerHTML = '';
         selectedIndex = -1;
-        fetchCard(query);
+        if (QUERY_SYNTAX.test(query)) runQuerySearch(query);
+        else fetchCard(query);
       }
     }
   } else if (e.key === 'Escape') {
@@ -173,7 +232,7 @@ searchInput.addEventListener('keydown', (e) => {
 // ─── Document-level printing navigation (works when no input has focus) ───
 document.addEventListener('keydown', (e) => {
   // Skip if user is typing in an input
-  if (document.activeElement && document.activeElement.tagName === 'INPUT') return;
+  if (document.activeElement && ['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName)) return;
   const hasResult = resultEl.classList.contains('visible');
   if (!hasResult) return;
 
@@ -213,12 +272,66 @@ function renderSuggestions(cards) {
   });
 }
 
+// ─── Render sealed product suggestions ───
+function renderSealedSuggestions(products) {
+  selectedIndex = -1;
+  sealedResults = products;
+  suggestionsEl.innerHTML = products
+    .map(p => `<li data-name="${escapeHtml(p.name)}">${escapeHtml(p.name)}<span class="sealed-set">${escapeHtml(p.set)}</span></li>`)
+    .join('');
+
+  suggestionsEl.querySelectorAll('li').forEach((li, i) => {
+    li.addEventListener('click', () => {
+      searchInput.value = products[i].name;
+      suggestionsEl.innerHTML = '';
+      selectedIndex = -1;
+      fetchSealed(products[i]);
+    });
+  });
+}
+
+// ─── Fetch a sealed product (re-fetched for its price history) ───
+async function fetchSealed(product) {
+  hideQueryResults();
+  resetComparison();
+  loadingEl.classList.add('visible');
+  resultEl.classList.remove('visible');
+  printings = [];
+  printingIndex = -1;
+  resultData = null;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'FETCH_SEALED_PRICE',
+      name: product.name,
+      tcgplayerId: product.tcgplayerId || null,
+    });
+
+    loadingEl.classList.remove('visible');
+
+    if (response.success) {
+      renderResult(response.data);
+    } else if (product.prices) {
+      renderResult(product);
+    } else {
+      resultEl.innerHTML = '<p style="color:#d06050;text-align:center;padding:16px;background:#161619;">Product not found. Try a different name.</p>';
+      resultEl.classList.add('visible');
+    }
+  } catch (err) {
+    loadingEl.classList.remove('visible');
+    console.error(err);
+  }
+}
+
 // ─── Fetch and display card data ───
 async function fetchCard(cardName) {
+  hideQueryResults();
+  resetComparison();
   loadingEl.classList.add('visible');
   resultEl.classList.remove('visible');
   printings = [];
   printingIndex = -1;
+  resultData = null;
   currentCardName = cardName;
   resetSetField();
 
@@ -226,6 +339,8 @@ async function fetchCard(cardName) {
     const response = await chrome.runtime.sendMessage({
       type: 'FETCH_CARD_PRICE',
       cardName: cardName,
+      condition: priceCondition,
+      language: priceLanguage,
     });
 
     loadingEl.classList.remove('visible');
@@ -254,6 +369,8 @@ async function fetchPrinting(setCode, collectorNumber) {
       cardName: currentCardName,
       setCode: setCode.toLowerCase(),
       collectorNumber: collectorNumber,
+      condition: priceCondition,
+      language: priceLanguage,
     });
 
     loadingEl.classList.remove('visible');
@@ -268,7 +385,8 @@ async function fetchPrinting(setCode, collectorNumber) {
 }
 
 // ─── Load all printings for a card ───
-async function loadPrintings(cardName) {
+// `current` (optional): the printing on screen, so navigation starts from it
+async function loadPrintings(cardName, current = null) {
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'FETCH_PRINTINGS',
@@ -277,7 +395,10 @@ async function loadPrintings(cardName) {
 
     if (response.success && response.data.length > 0) {
       printings = response.data;
-      printingIndex = 0;
+      printingIndex = current
+        ? Math.max(0, printings.findIndex(p =>
+            p.setCode.toLowerCase() === current.setCode.toLowerCase() && p.collectorNumber === current.collectorNumber))
+        : 0;
       updatePrintingIndicator();
       enableSetField();
     }
@@ -286,6 +407,178 @@ async function loadPrintings(cardName) {
   }
 }
 
+// ─── Scryfall query search ───
+async function runQuerySearch(query) {
+  queryText = query;
+  queryCursor = null;
+  queryCards = [];
+  document.getElementById('queryList').innerHTML = '';
+  resultEl.classList.remove('visible');
+  queryBackEl.style.display = 'none';
+  printings = [];
+  printingIndex = -1;
+  resetSetField();
+  await loadQueryPage();
+}
+
+async function loadQueryPage() {
+  const seq = ++querySeq;
+  const moreBtn = document.getElementById('queryMore');
+  const [order, dir] = document.getElementById('querySort').value.split(':');
+  loadingEl.classList.add('visible');
+  moreBtn.disabled = true;
+
+  try {
+    const response = await chrome.runtime.sendMessage(queryCursor
+      ? { type: 'SEARCH_QUERY', cursor: queryCursor }
+      : { type: 'SEARCH_QUERY', query: queryText, order, dir });
+    if (seq !== querySeq) return;
+    loadingEl.classList.remove('visible');
+    moreBtn.disabled = false;
+
+    const countEl = document.getElementById('queryCount');
+    if (!response.success) {
+      countEl.textContent = response.error || 'No cards found';
+      moreBtn.style.display = 'none';
+    } else {
+      queryCursor = response.cursor;
+      countEl.textContent = response.total.toLocaleString() + (response.total === 1 ? ' card' : ' cards');
+      const start = queryCards.length;
+      queryCards.push(...response.data);
+      document.getElementById('queryList').insertAdjacentHTML('beforeend',
+        response.data.map((card, i) => queryRowHtml(card, start + i)).join(''));
+      moreBtn.style.display = queryCursor ? 'block' : 'none';
+    }
+    queryResultsEl.classList.add('visible');
+  } catch (err) {
+    loadingEl.classList.remove('visible');
+    moreBtn.disabled = false;
+    console.error(err);
+  }
+}
+
+/** List price in the user's currency: TCGPlayer market → avg → low, else Scryfall */
+function listPrice(p) {
+  if (p.source === 'tcgcsv') {
+    const usd = p.market ?? p.mid ?? p.low ?? p.marketFoil ?? p.midFoil;
+    if (usd != null) return convert(usd);
+  }
+  if (userCurrency === 'EUR' && (p.eur ?? p.eurFoil) != null) return p.eur ?? p.eurFoil;
+  const usd = p.usd ?? p.usdFoil;
+  return usd != null ? convert(usd) : null;
+}
+
+function queryRowHtml(card, index) {
+  const price = listPrice(card.prices || {});
+  const cls = price == null ? ' none' : price >= 10 ? ' high' : price >= 2 ? ' medium' : '';
+  return `<div class="query-row" data-index="${index}">` +
+    (card.imageSmall ? `<img src="${escapeHtml(card.imageSmall)}" alt="" loading="lazy" />` : '') +
+    `<div class="query-info"><div class="query-name">${escapeHtml(card.name)}</div>` +
+    `<div class="query-set">${escapeHtml(card.set)} (${escapeHtml(card.setCode)}) #${escapeHtml(card.collectorNumber || '')}</div></div>` +
+    `<span class="query-price${cls}">${price != null ? fmtPrice(price) : '—'}</span></div>`;
+}
+
+/** Open a result row in the detail view, with printing navigation from that printing. */
+function openQueryCard(card) {
+  queryResultsEl.classList.remove('visible');
+  queryBackEl.style.display = 'block';
+  currentCardName = card.name;
+  printings = [];
+  printingIndex = -1;
+  resetSetField();
+  resetComparison();
+  renderResult(card);
+  // Re-fetch for the price history, then load the other printings
+  fetchPrinting(card.setCode, card.collectorNumber);
+  loadPrintings(card.name, card);
+}
+
+function hideQueryResults() {
+  querySeq++;
+  queryResultsEl.classList.remove('visible');
+  queryBackEl.style.display = 'none';
+}
+
+document.getElementById('queryList').addEventListener('click', (e) => {
+  const row = e.target.closest('.query-row');
+  if (row) openQueryCard(queryCards[parseInt(row.dataset.index)]);
+});
+document.getElementById('queryMore').addEventListener('click', loadQueryPage);
+document.getElementById('querySort').addEventListener('change', () => {
+  if (queryText) runQuerySearch(queryText);
+});
+queryBackEl.addEventListener('click', () => {
+  resultEl.classList.remove('visible');
+  queryBackEl.style.display = 'none';
+  queryResultsEl.classList.add('visible');
+});
+
+// ─── Compare all printings by price ───
+async function loadComparison(cardName) {
+  compareName = cardName;
+  compareRows = [];
+  const countEl = document.getElementById('compareCount');
+  const listEl = document.getElementById('compareList');
+  countEl.textContent = 'Pricing all printings...';
+  listEl.innerHTML = '';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'COMPARE_PRINTINGS', cardName });
+    if (cardName !== compareName) return;
+    if (!response.success) {
+      countEl.textContent = 'No printings found';
+      return;
+    }
+    compareRows = response.data;
+    const priced = compareRows.filter(r => r.price != null);
+    countEl.textContent = priced.length + ' of ' + compareRows.length + ' priced · cheapest first' +
+      (response.truncated ? ' · newest printings only' : '');
+    // Rows arrive sorted, so the first and last priced rows are the extremes
+    const cheapest = priced[0];
+    const priciest = priced.length > 1 && priced[priced.length - 1].price > cheapest.price ? priced[priced.length - 1] : null;
+    listEl.innerHTML = compareRows.map((row, i) =>
+      compareRowHtml(row, i, row === cheapest ? 'cheapest' : row === priciest ? 'priciest' : '')).join('');
+  } catch (err) {
+    countEl.textContent = '';
+    console.error(err);
+  }
+}
+
+function compareRowHtml(row, index, highlight) {
+  const price = row.price != null ? convert(row.price) : null;
+  const cls = price == null ? ' none' : price >= 10 ? ' high' : price >= 2 ? ' medium' : '';
+  const finish = row.finish === 'nonfoil' ? ''
+    : ` · <span class="mtg-foil-badge">${row.finish === 'etched' ? 'Foil Etched' : 'Foil'}</span>`;
+  const tag = highlight ? `<span class="compare-tag">${highlight === 'cheapest' ? 'Cheapest' : 'Priciest'}</span>` : '';
+  return `<div class="query-row${highlight ? ' ' + highlight : ''}" data-index="${index}">` +
+    (row.imageSmall ? `<img src="${escapeHtml(row.imageSmall)}" alt="" loading="lazy" />` : '') +
+    `<div class="query-info"><div class="query-name">${escapeHtml(row.setName)}${finish}</div>` +
+    `<div class="query-set">${escapeHtml(row.setCode.toUpperCase())} #${escapeHtml(row.collectorNumber || '')}` +
+    `${row.rarity ? ' · ' + escapeHtml(row.rarity) : ''}${tag}</div></div>` +
+    `<span class="query-price${cls}">${price != null ? fmtPrice(price) : '—'}</span></div>`;
+}
+
+function resetComparison() {
+  compareName = '';
+  compareRows = [];
+  document.getElementById('compareSection').style.display = 'none';
+  document.getElementById('compareBody').style.display = 'none';
+  document.getElementById('compareToggle').textContent = 'Compare Printings ▼';
+}
+
+document.getElementById('compareList').addEventListener('click', (e) => {
+  const row = e.target.closest('.query-row');
+  if (!row) return;
+  const { setCode, collectorNumber } = compareRows[parseInt(row.dataset.index)];
+  const idx = printings.findIndex(p =>
+    p.setCode.toLowerCase() === setCode.toLowerCase() && p.collectorNumber === collectorNumber);
+  if (idx >= 0) {
+    printingIndex = idx;
+    updatePrintingIndicator();
+  }
+  fetchPrinting(setCode, collectorNumber);
+});
+
 // ─── Navigate through printings ───
 function navigatePrinting(direction) {
   if (printings.length <= 1) return;
@@ -326,10 +619,34 @@ function updatePrintingIndicator() {
   } else {
     indicator.style.display = 'none';
   }
+  document.getElementById('compareSection').style.display = printings.length > 1 ? 'block' : 'none';
+}
+
+function priceBoxHtml(label, value, text, secondary = null) {
+  const cls = value >= 10 ? 'high' : value >= 2 ? 'medium' : '';
+  return `
+    <div class="price-box">
+      <div class="label">${label}</div>
+      <div class="value ${cls}">${text}</div>
+      ${secondary ? `<div class="secondary">≈ ${secondary}</div>` : ''}
+    </div>
+  `;
+}
+
+// ─── Legality badges (shared MTGLegality, see legality.js) ───
+/** Format legality plus Reserved List / Game Changer flags under the set line */
+function renderLegality(data) {
+  const el = document.getElementById('legalityBadges');
+  const badges = MTGLegality.badges(data);
+  el.innerHTML = badges.map(({ text, cls, title }) =>
+    `<span class="legal-badge ${cls}" title="${escapeHtml(title)}">${text}</span>`
+  ).join('');
+  el.style.display = badges.length ? 'flex' : 'none';
 }
 
 // ─── Render card result ───
 function renderResult(data) {
+  resultData = data;
   const img = document.getElementById('cardImage');
   if (data.imageSmall) {
     img.src = data.imageSmall;
@@ -359,13 +676,14 @@ function renderResult(data) {
     cardNameEl.textContent = data.name + (data.variantName ? ' ' + data.variantName : '');
   }
 
-  document.getElementById('cardSet').textContent = `${data.set} (${data.setCode})`;
+  document.getElementById('cardSet').textContent = data.set + (data.setCode ? ` (${data.setCode})` : '');
   document.getElementById('cardType').textContent = data.typeLine || '';
+  renderLegality(data);
 
   // Prices — prefer TCGCSV (low/mid/market/foil), fall back to Scryfall
   const priceGrid = document.getElementById('priceGrid');
 
-  const sym = CUR_SYM[userCurrency] || userCurrency;
+  const sym = MTGCurrency.symbol(userCurrency);
   let prices = [];
   let sourceLabel = '';
   const foilType = isEtched ? 'Foil Etched' : 'Foil';
@@ -419,22 +737,88 @@ function renderResult(data) {
 
   prices = prices.filter(pr => pr.value != null);
 
-  if (prices.length === 0) {
+  // Condition / language the prices are scaled to (cards only)
+  document.getElementById('conditionBar').style.display = data.condition ? 'flex' : 'none';
+  if (data.condition) {
+    document.getElementById('conditionSelect').value = data.condition;
+    document.getElementById('languageSelect').value = data.language;
+    document.getElementById('conditionNote').textContent = data.priceMultiplier !== 1
+      ? `${Math.round(data.priceMultiplier * 100)}% of NM English`
+      : '';
+  }
+
+  // Cardmarket price guide, in EUR as Cardmarket lists it
+  const cm = data.cardmarket;
+  const cmPrices = cm ? [
+    { label: 'From', value: cm.low },
+    { label: 'Trend', value: cm.trend },
+    { label: '30d Avg', value: cm.avg30 },
+    { label: foilBadge, value: cm.trendFoil },
+  ].filter(pr => pr.value != null) : [];
+
+  // Card Kingdom pricelist: what they sell for next to what they pay (USD)
+  const ck = data.cardkingdom;
+  const ckFoilBadge = '<span class="mtg-foil-badge">Foil</span>';
+  const buyPct = (buy, retail) => buy != null && retail ? ` · ${Math.round(buy / retail * 100)}%` : '';
+  const ckPrices = ck ? [
+    { label: 'Retail', value: convert(ck.retail) },
+    { label: 'Buylist' + buyPct(ck.buy, ck.retail), value: convert(ck.buy) },
+    { label: ckFoilBadge, value: convert(ck.retailFoil) },
+    { label: ckFoilBadge + ' Buy' + buyPct(ck.buyFoil, ck.retailFoil), value: convert(ck.buyFoil) },
+  ].filter(pr => pr.value != null) : [];
+
+  if (prices.length === 0 && cmPrices.length === 0 && ckPrices.length === 0) {
     priceGrid.innerHTML = '<div class="no-prices">No prices available for this printing</div>';
   } else {
     priceGrid.innerHTML =
-      `<div class="price-source">${sym} ${userCurrency} (${sourceLabel})</div>` +
-      prices.map(pr => {
-        const cls = pr.value >= 10 ? 'high' : pr.value >= 2 ? 'medium' : '';
-        return `
-          <div class="price-box">
-            <div class="label">${pr.label}</div>
-            <div class="value ${cls}">${fmtPrice(pr.value)}</div>
-          </div>
-        `;
-      }).join('');
+      (prices.length > 0
+        ? `<div class="price-source">${sym} ${userCurrency} (${sourceLabel})</div>` +
+          prices.map(pr => priceBoxHtml(pr.label, pr.value, fmtPrice(pr.value), fmtSecondary(pr.value))).join('')
+        : '') +
+      (cmPrices.length > 0
+        ? `<div class="price-source">${MTGCurrency.symbol('EUR')} EUR (Cardmarket)</div>` +
+          cmPrices.map(pr => priceBoxHtml(pr.label, pr.value, MTGCurrency.format(pr.value, 'EUR'))).join('')
+        : '') +
+      (ckPrices.length > 0
+        ? `<div class="price-source">${sym} ${userCurrency} (Card Kingdom)</div>` +
+          ckPrices.map(pr => priceBoxHtml(pr.label, pr.value, fmtPrice(pr.value), fmtSecondary(pr.value))).join('')
+        : '');
+  }
+
+  // Price history sparkline (TCGCSV snapshots, shared MTGHistory, see history.js).
+  // Snapshots are NM English — labelled so when another condition/language is picked
+  const historyEl = document.getElementById('priceHistory');
+  const series = hasTcgcsv ? MTGHistory.series(data.priceHistory, isFoilOnly) : [];
+  if (series.length >= 2) {
+    historyEl.innerHTML = MTGHistory.sparkline(series, { height: 28, cls: 'sparkline', up: 'up', down: 'down' }) +
+      '<div class="history-changes">' +
+        (data.condition && data.priceMultiplier !== 1 ? '<span class="history-change">NM English</span>' : '') +
+        MTGHistory.WINDOWS.map(days => {
+          const pct = MTGHistory.change(series, days);
+          const cls = pct == null ? '' : pct > 0 ? ' up' : pct < 0 ? ' down' : '';
+          const txt = pct == null ? '—' : (pct > 0 ? '+' : '') + pct.toFixed(1) + '%';
+          return `<span class="history-change${cls}">${days}d ${txt}</span>`;
+        }).join('') +
+      '</div>';
+    historyEl.style.display = 'block';
+  } else {
+    historyEl.style.display = 'none';
   }
 
+  // Price alert form (alerts are checked against TCGCSV, so only for TCGCSV-priced cards)
+  alertCard = hasTcgcsv ? { data, foil: isFoilOnly } : null;
+  document.getElementById('alertSection').style.display = alertCard ? 'block' : 'none';
+  if (alertCard) {
+    // Alerts are checked against near-mint English prices
+    const nm = data.nmPrices || p;
+    const current = convert(isFoilOnly ? (nm.marketFoil ?? nm.midFoil) : (nm.market ?? nm.mid));
+    document.getElementById('alertTarget').value = current != null ? current.toFixed(2) : '';
+    loadPriceAlerts();
+  }
+
+  // Add-to-trade buttons (cards only — sealed products have no printing to re-price)
+  document.getElementById('tradeAdd').style.display = data.condition ? 'flex' : 'none';
+
   // Oracle text (collapsible)
   const oracleSection = document.getElementById('oracleSection');
   const oracleTextEl = document.getElementById('oracleText');
@@ -484,6 +868,591 @@ function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// ─── PRICE ALERTS ───
+let alertCard = null; // { data, foil } for the card shown in the result view
+
+function alertMatchesCard(alert, card) {
+  if (alert.card.tcgplayerId && card.tcgplayerId) return alert.card.tcgplayerId === card.tcgplayerId;
+  return alert.card.name === card.name && alert.card.set === card.set;
+}
+
+function renderAlertRows(alerts, withCardName) {
+  return alerts.map(a => {
+    const name = withCardName ? `${escapeHtml(a.card.name)} (${escapeHtml(a.card.setCode || a.card.set)}) · ` : '';
+    const foil = a.foil ? 'Foil · ' : '';
+    const status = a.triggeredAt ? ' ✓' : '';
+    const last = a.lastPrice != null ? ` · now $${a.lastPrice.toFixed(2)}` : '';
+    return `<div class="alert-row${a.triggeredAt ? ' triggered' : ''}">` +
+      `<span class="alert-text">🔔 ${name}${foil}${a.direction} ${escapeHtml(a.label)}${last}${status}</span>` +
+      `<button class="alert-remove" data-id="${escapeHtml(a.id)}" title="Remove alert">✕</button></div>`;
+  }).join('');
+}
+
+async function loadPriceAlerts() {
+  let alerts = [];
+  try {
+    const res = await chrome.runtime.sendMessage({ type: 'GET_PRICE_ALERTS' });
+    alerts = res?.alerts || [];
+  } catch (e) {
+    console.error('Price alerts error:', e);
+  }
+  const allList = document.getElementById('allAlertList');
+  allList.innerHTML = alerts.length > 0
+    ? renderAlertRows(alerts, true)
+    : '<div class="alert-empty">No alerts yet — set one from a card\'s price view</div>';
+  document.getElementById('cardAlertList').innerHTML = alertCard
+    ? renderAlertRows(alerts.filter(a => alertMatchesCard(a, alertCard.data)), false)
+    : '';
+}
+
+(function initPriceAlerts() {
+  const saveBtn = document.getElementById('alertSave');
+  const targetInput = document.getElementById('alertTarget');
+  if (!saveBtn || !targetInput) return;
+
+  async function save() {
+    const value = parseFloat(targetInput.value);
+    if (!alertCard || !(value > 0)) return;
+    const p = alertCard.data.nmPrices || alertCard.data.prices || {};
+    const res = await chrome.runtime.sendMessage({
+      type: 'ADD_PRICE_ALERT',
+      alert: {
+        card: alertCard.data,
+        foil: alertCard.foil,
+        direction: document.getElementById('alertDirection').value,
+        // Targets are entered in the user's currency, checked in USD
+        target: userCurrency === 'USD' ? value : value / exchangeRate,
+        label: fmtPrice(value),
+        currentPrice: alertCard.foil ? (p.marketFoil ?? p.midFoil) : (p.market ?? p.mid)
+      }
+    });
+    if (res?.success) loadPriceAlerts();
+  }
+
+  saveBtn.addEventListener('click', save);
+  targetInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') save();
+  });
+
+  // Remove buttons in both lists
+  for (const id of ['cardAlertList', 'allAlertList']) {
+    document.getElementById(id).addEventListener('click', async (e) => {
+      const btn = e.target.closest('.alert-remove');
+      if (!btn) return;
+      await chrome.runtime.sendMessage({ type: 'REMOVE_PRICE_ALERT', id: btn.dataset.id });
+      loadPriceAlerts();
+    });
+  }
+
+  loadPriceAlerts();
+})();
+
+// ─── TRADE CALCULATOR ───
+// Two sides of cards, each a printing from the result view with quantity and
+// foil flag. Prices are kept in USD as looked up (condition/language scaled)
+// and refreshed when the panel opens; totals use the picked price point.
+// Saved in chrome.storage.local ('trade') so a trade survives closing the popup.
+const TRADE_SIDES = { mine: 'Mine', theirs: 'Theirs' };
+const TRADE_PRICE_FIELDS = ['low', 'mid', 'market', 'lowFoil', 'midFoil', 'marketFoil', 'usd', 'usdFoil', 'usdEtched'];
+let trade = { mine: [], theirs: [], pricePoint: 'market' };
+let tradeRefreshed = false;
+
+function tradeItem(data, foil) {
+  const prices = { source: data.prices?.source || 'scryfall' };
+  for (const f of TRADE_PRICE_FIELDS) prices[f] = data.prices?.[f] ?? null;
+  return {
+    name: data.name,
+    set: data.set,
+    setCode: data.setCode,
+    collectorNumber: data.collectorNumber,
+    condition: data.condition || 'NM',
+    language: data.language || 'en',
+    canFoil: (data.finishes || []).some(f => f === 'foil' || f === 'etched'),
+    foil,
+    qty: 1,
+    prices
+  };
+}
+
+/** Per-copy USD price at the trade's price point (falls back along market → mid → low). */
+function tradeUnitPrice(item) {
+  const p = item.prices;
+  if (p.source !== 'tcgcsv') return item.foil ? (p.usdFoil ?? p.usdEtched) : p.usd;
+  const suffix = item.foil ? 'Foil' : '';
+  const order = [trade.pricePoint, 'market', 'mid', 'low'];
+  for (const point of order) {
+    if (p[point + suffix] != null) return p[point + suffix];
+  }
+  return null;
+}
+
+function tradeTotal(side) {
+  return trade[side].reduce((sum, item) => sum + (tradeUnitPrice(item) ?? 0) * item.qty, 0);
+}
+
+function tradeItemLabel(item) {
+  return `${item.setCode} #${item.collectorNumber}` +
+    (item.condition !== 'NM' || item.language !== 'en'
+      ? ` · ${item.condition}${item.language !== 'en' ? ' ' + item.language.toUpperCase() : ''}`
+      : '');
+}
+
+/** Fairness as the smaller side's share of the larger one (100 = even) */
+function tradeFairness(mine, theirs) {
+  const max = Math.max(mine, theirs);
+  return max > 0 ? Math.round(Math.min(mine, theirs) / max * 100) : 100;
+}
+
+function tradeRowHtml(item, side, index) {
+  const unit = tradeUnitPrice(item);
+  return `<div class="trade-row" data-side="${side}" data-index="${index}">` +
+    `<div class="trade-name" title="${escapeHtml(item.name)} (${escapeHtml(item.set)})">${escapeHtml(item.name)}</div>` +
+    `<div class="trade-set">${escapeHtml(tradeItemLabel(item))}</div>` +
+    '<div class="trade-meta">' +
+      `<input type="number" class="set-input trade-qty" min="1" max="99" value="${item.qty}" title="Quantity" />` +
+      `<button class="trade-foil${item.foil ? ' active' : ''}" title="Foil"${item.canFoil ? '' : ' disabled'}>✦</button>` +
+      `<span class="trade-price">${unit != null ? fmtPrice(convert(unit * item.qty)) : '—'}</span>` +
+      '<button class="trade-remove" title="Remove">✕</button>' +
+    '</div></div>';
+}
+
+function renderTrade() {
+  for (const [side, label] of Object.entries(TRADE_SIDES)) {
+    document.getElementById('tradeList' + label).innerHTML = trade[side].length > 0
+      ? trade[side].map((item, i) => tradeRowHtml(item, side, i)).join('')
+      : '<div class="trade-empty">Add cards from a search result</div>';
+  }
+  renderTradeTotals();
+}
+
+/** Totals and summary only, so typing a quantity doesn't rebuild the inputs */
+function renderTradeTotals() {
+  const mine = tradeTotal('mine');
+  const theirs = tradeTotal('theirs');
+  document.getElementById('tradeTotalMine').textContent = fmtPrice(convert(mine));
+  document.getElementById('tradeTotalTheirs').textContent = fmtPrice(convert(theirs));
+  document.querySelectorAll('.trade-row').forEach(row => {
+    const item = trade[row.dataset.side][parseInt(row.dataset.index)];
+    const unit = tradeUnitPrice(item);
+    row.querySelector('.trade-price').textContent = unit != null ? fmtPrice(convert(unit * item.qty)) : '—';
+  });
+
+  const summary = document.getElementById('tradeSummary');
+  if (trade.mine.length === 0 && trade.theirs.length === 0) {
+    summary.textContent = '';
+    return;
+  }
+  const fairness = tradeFairness(mine, theirs);
+  const cls = fairness >= 95 ? 'fair' : fairness >= 85 ? 'close' : 'uneven';
+  const diff = Math.abs(theirs - mine);
+  const who = theirs > mine ? 'You get' : 'They get';
+  summary.innerHTML = (diff >= 0.005 ? `${who} <b>${fmtPrice(convert(diff))}</b> more · ` : 'Even · ') +
+    `<span class="${cls}">${fairness}% fair</span>`;
+}
+
+function saveTrade() {
+  chrome.storage.local.set({ trade });
+}
+
+function showTradePanel(show) {
+  document.getElementById('tradePanel').style.display = show ? 'block' : 'none';
+  document.getElementById('tradeBtn').classList.toggle('active', show);
+  if (show) {
+    renderTrade();
+    if (!tradeRefreshed) refreshTradePrices();
+  }
+}
+
+function addToTrade(side) {
+  if (!resultData?.condition) return;
+  const p = resultData.prices || {};
+  const foilOnly = p.source === 'tcgcsv' && p.market == null && p.mid == null && p.low == null &&
+    (p.marketFoil != null || p.midFoil != null || p.lowFoil != null);
+  const existing = trade[side].find(item =>
+    item.setCode === resultData.setCode && item.collectorNumber === resultData.collectorNumber &&
+    item.condition === resultData.condition && item.language === resultData.language && item.foil === foilOnly);
+  if (existing) existing.qty++;
+  else trade[side].push(tradeItem(resultData, foilOnly));
+  saveTrade();
+  showTradePanel(true);
+}
+
+/** Re-price every card in the trade (lookups are cached, so this is cheap after the first time) */
+async function refreshTradePrices() {
+  tradeRefreshed = true;
+  const items = [...trade.mine, ...trade.theirs];
+  await Promise.all(items.map(async (item) => {
+    try {
+      const res = await chrome.runtime.sendMessage({
+        type: 'FETCH_CARD_PRICE',
+        cardName: item.name,
+        setCode: item.setCode.toLowerCase(),
+        collectorNumber: item.collectorNumber,
+        condition: item.condition,
+        language: item.language,
+      });
+      if (res?.success) item.prices = tradeItem(res.data, item.foil).prices;
+    } catch (e) { /* keep the saved price */ }
+  }));
+  if (items.length > 0) {
+    saveTrade();
+    renderTradeTotals();
+  }
+}
+
+/** The trade as plain text, for pasting into a chat */
+function tradeText() {
+  const point = document.getElementById('tradePricePoint').selectedOptions[0].textContent.toLowerCase();
+  const mine = tradeTotal('mine');
+  const theirs = tradeTotal('theirs');
+  const lines = [`MTG trade (${point} prices, ${userCurrency})`];
+  for (const [side, label] of Object.entries(TRADE_SIDES)) {
+    lines.push('', `${label} — ${fmtPrice(convert(side === 'mine' ? mine : theirs))}`);
+    for (const item of trade[side]) {
+      const unit = tradeUnitPrice(item);
+      lines.push(`${item.qty}x ${item.name} [${tradeItemLabel(item)}]${item.foil ? ' (foil)' : ''} ` +
+        (unit != null ? fmtPrice(convert(unit * item.qty)) : '—'));
+    }
+  }
+  const diff = Math.abs(theirs - mine);
+  lines.push('', (diff >= 0.005 ? `Difference: ${fmtPrice(convert(diff))} for ${theirs > mine ? 'me' : 'them'}` : 'Even') +
+    ` · ${tradeFairness(mine, theirs)}% fair`);
+  return lines.join('\n');
+}
+
+(function initTrade() {
+  const panel = document.getElementById('tradePanel');
+  const btn = document.getElementById('tradeBtn');
+  if (!panel || !btn) return;
+  const pricePoint = document.getElementById('tradePricePoint');
+
+  Promise.all([chrome.storage.local.get('trade'), currencyLoad]).then(([data]) => {
+    if (data.trade) trade = { mine: [], theirs: [], pricePoint: 'market', ...data.trade };
+    pricePoint.value = trade.pricePoint;
+    // Pick up where the last trade left off
+    if (trade.mine.length > 0 || trade.theirs.length > 0) showTradePanel(true);
+  });
+
+  btn.addEventListener('click', () => showTradePanel(panel.style.display === 'none'));
+
+  document.getElementById('tradeAdd').addEventListener('click', (e) => {
+    const side = e.target.closest('[data-side]')?.dataset.side;
+    if (side) addToTrade(side);
+  });
+
+  pricePoint.addEventListener('change', () => {
+    trade.pricePoint = pricePoint.value;
+    saveTrade();
+    renderTradeTotals();
+  });
+
+  panel.addEventListener('input', (e) => {
+    if (!e.target.classList.contains('trade-qty')) return;
+    const row = e.target.closest('.trade-row');
+    const qty = parseInt(e.target.value);
+    if (!(qty >= 1)) return;
+    trade[row.dataset.side][parseInt(row.dataset.index)].qty = Math.min(qty, 99);
+    saveTrade();
+    renderTradeTotals();
+  });
+
+  panel.addEventListener('click', (e) => {
+    const row = e.target.closest('.trade-row');
+    if (!row) return;
+    const items = trade[row.dataset.side];
+    const index = parseInt(row.dataset.index);
+    if (e.target.classList.contains('trade-foil')) {
+      items[index].foil = !items[index].foil;
+    } else if (e.target.classList.contains('trade-remove')) {
+      items.splice(index, 1);
+    } else {
+      return;
+    }
+    saveTrade();
+    renderTrade();
+  });
+
+  const copyBtn = document.getElementById('tradeCopy');
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(tradeText());
+      copyBtn.textContent = 'Copied ✓';
+    } catch (e) {
+      copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { copyBtn.textContent = 'Copy as text'; }, 1500);
+  });
+
+  document.getElementById('tradeClear').addEventListener('click', () => {
+    trade = { mine: [], theirs: [], pricePoint: trade.pricePoint };
+    saveTrade();
+    renderTrade();
+  });
+})();
+
+// ─── DECKLIST PRICING ───
+// Paste a list in Arena ("4 Lightning Bolt (M11) 149" under "Deck"/"Sideboard"),
+// MTGO ("4 Lightning Bolt", sideboard after a blank line), Moxfield export
+// ("1 Sol Ring (C21) 263 *F*") or plain "4x Lightning Bolt" form. Every line is
+// priced in one FETCH_CARD_PRICES_BATCH; lines it can't resolve can be fixed inline.
+const DECK_SECTIONS = {
+  deck: 'Main', main: 'Main', mainboard: 'Main', maindeck: 'Main',
+  sideboard: 'Sideboard', side: 'Sideboard',
+  commander: 'Commander', commanders: 'Commander',
+  companion: 'Companion',
+  maybeboard: 'Maybeboard', considering: 'Maybeboard',
+  about: null // Arena's "About / Name <deck>" block, skipped
+};
+// "Sideboard", "SIDEBOARD:", "// Commander", "Sideboard (15)"
+const DECK_HEADER = /^(?:\/\/|#)?\s*([a-z]+)\s*:?\s*(?:\(\d+\))?$/i;
+// Category headings from website copies ("Creatures (24)") — skipped, section unchanged
+const DECK_CATEGORY = /^[a-z][a-z &/-]*\s*\(\d+\)$/i;
+// [SB:] [qty[x]] name [(SET) [number]] [*F*|*E*]
+const DECK_LINE = /^(?:(SB):\s*)?(?:(\d+)\s*x?\s+)?(.+?)(?:\s+[([]([a-z0-9]{2,6})[)\]](?:\s+([^\s*]+))?)?(?:\s+\*([FE])\*)?$/i;
+
+let decklistEntries = [];
+let decklistSeq = 0;
+
+// Lines whose card is over the budget threshold (NM USD, 'budgetThreshold';
+// off by default) get cheaper cards doing the same job under the totals
+let budgetThreshold = MTGBudget.DEFAULT_THRESHOLD;
+const decklistSwaps = new Map(); // card name -> budget alternatives (null while loading)
+
+/** Section a header line starts (null for skipped blocks), or undefined for anything else */
+function deckSectionOf(line) {
+  const m = line.match(DECK_HEADER);
+  return m && m[1].toLowerCase() in DECK_SECTIONS ? DECK_SECTIONS[m[1].toLowerCase()] : undefined;
+}
+
+function parseDeckLine(line) {
+  const m = line.match(DECK_LINE);
+  if (!m) return null;
+  const name = m[3].trim();
+  if (name.length < 2) return null;
+  return {
+    qty: m[2] ? parseInt(m[2]) : 1,
+    name,
+    setCode: m[4] ? m[4].toLowerCase() : null,
+    collectorNumber: m[5] || null,
+    foil: !!m[6],
+    sideboard: !!m[1]
+  };
+}
+
+/** Decklist text → [{ lineNo, text, section, qty, name, setCode, collectorNumber, foil }] */
+function parseDecklist(text) {
+  const lines = text.split(/\r?\n/);
+  // Without headings, MTGO-style lists put the sideboard after a blank line
+  const hasHeaders = lines.some(l => deckSectionOf(l.trim()) !== undefined || DECK_CATEGORY.test(l.trim()));
+  const entries = [];
+  let section = 'Main';
+  lines.forEach((raw, lineNo) => {
+    const line = raw.trim();
+    if (!line) {
+      if (!hasHeaders && entries.length > 0) section = 'Sideboard';
+      return;
+    }
+    const header = deckSectionOf(line);
+    if (header !== undefined) {
+      section = header;
+      return;
+    }
+    if (section === null || DECK_CATEGORY.test(line) || /^(\/\/|#)/.test(line)) return;
+    const card = parseDeckLine(line);
+    if (!card) return;
+    entries.push({ lineNo, text: line, ...card, section: card.sideboard ? 'Sideboard' : section });
+  });
+  return entries;
+}
+
+/** Per-copy price in the user's currency, foil prices for foil-marked lines */
+function deckLinePrice(p, foil) {
+  if (foil) {
+    const usd = p.source === 'tcgcsv' ? (p.marketFoil ?? p.midFoil ?? p.lowFoil) : (p.usdFoil ?? p.usdEtched);
+    if (usd != null) return convert(usd);
+    if (userCurrency === 'EUR' && p.eurFoil != null) return p.eurFoil;
+  }
+  return listPrice(p);
+}
+
+/** Look up entries in one batch; each gets { unit } or { error } */
+async function priceDeckEntries(entries) {
+  let results = [];
+  try {
+    const res = await chrome.runtime.sendMessage({
+      type: 'FETCH_CARD_PRICES_BATCH',
+      identifiers: entries.map(e => ({ name: e.name, setCode: e.setCode, collectorNumber: e.collectorNumber }))
+    });
+    results = res?.data || [];
+  } catch (e) {
+    console.error(e);
+  }
+  entries.forEach((entry, i) => {
+    const r = results[i];
+    if (!r?.success) {
+      Object.assign(entry, { unit: null, resolvedName: null, card: null, error: 'Card not found' });
+      return;
+    }
+    const unit = deckLinePrice(r.data.prices || {}, entry.foil);
+    Object.assign(entry, {
+      unit,
+      resolvedName: r.data.name,
+      card: r.data,
+      error: unit == null ? `No price for ${r.data.name} (${r.data.setCode})` : null
+    });
+  });
+}
+
+function renderDecklist() {
+  const resultEl = document.getElementById('decklistResult');
+  const statusEl = document.getElementById('decklistStatus');
+  if (decklistEntries.length === 0) {
+    resultEl.innerHTML = '';
+    statusEl.textContent = '';
+    return;
+  }
+
+  let total = 0;
+  const sections = new Map();
+  for (const e of decklistEntries) {
+    const sec = sections.get(e.section) || { cards: 0, value: 0 };
+    sec.cards += e.qty;
+    if (e.unit != null) {
+      sec.value += e.unit * e.qty;
+      total += e.unit * e.qty;
+    }
+    sections.set(e.section, sec);
+  }
+  const cards = decklistEntries.reduce((sum, e) => sum + e.qty, 0);
+  const unresolved = decklistEntries.filter(e => e.error);
+  statusEl.textContent = `${cards} cards` + (unresolved.length ? ` · ${unresolved.length} unresolved` : '');
+
+  resultEl.innerHTML =
+    `<div class="decklist-total"><span>Total</span><b>${fmtPrice(total)}</b></div>` +
+    [...sections].map(([name, sec]) =>
+      `<div class="decklist-row"><span>${escapeHtml(name)} · ${sec.cards}</span><span>${fmtPrice(sec.value)}</span></div>`
+    ).join('') +
+    decklistSwapsHtml() +
+    (unresolved.length > 0
+      ? `<div class="decklist-unresolved-title">Unresolved lines — edit and press Enter</div>` +
+        unresolved.map(e =>
+          `<div class="decklist-fix" data-line="${e.lineNo}">` +
+            `<input type="text" class="set-input" value="${escapeHtml(e.text)}" autocomplete="off" spellcheck="false" />` +
+            '<button class="alert-save">Retry</button>' +
+          '</div>' +
+          `<div class="decklist-fix-error">${escapeHtml(e.error)}</div>`
+        ).join('')
+      : '');
+}
+
+function decklistSwapsHtml() {
+  const swaps = [...decklistSwaps].filter(([name, alts]) => alts?.length && decklistEntries.some(e => e.card?.name === name));
+  if (swaps.length === 0) return '';
+  return '<div class="decklist-swaps-title">Budget swaps</div>' +
+    swaps.map(([name, alts]) =>
+      `<div class="decklist-row decklist-swap-card"><span>${escapeHtml(name)}</span></div>` +
+      alts.slice(0, 3).map(alt =>
+        `<div class="decklist-row decklist-swap"><a href="${escapeHtml(alt.link || '#')}" target="_blank" rel="noopener">→ ${escapeHtml(alt.name)}</a>` +
+        `<span>${fmtPrice(convert(alt.price))}</span></div>`
+      ).join('')
+    ).join('');
+}
+
+/** Fetch budget alternatives for the priciest pasted cards over the threshold */
+async function findDecklistSwaps(seq) {
+  if (!(budgetThreshold > 0)) return;
+  const over = MTGBudget.swapCandidates(decklistEntries.map(e => e.card), budgetThreshold)
+    .filter(card => !decklistSwaps.has(card.name));
+  for (const card of over) {
+    decklistSwaps.set(card.name, null);
+    let alternatives = [];
+    try {
+      const res = await chrome.runtime.sendMessage({ type: 'FETCH_BUDGET_ALTERNATIVES', card, maxPrice: budgetThreshold });
+      alternatives = res?.data || [];
+    } catch (e) {
+      console.error(e);
+    }
+    decklistSwaps.set(card.name, alternatives);
+    if (seq === decklistSeq) renderDecklist();
+  }
+}
+
+async function priceDecklist() {
+  const seq = ++decklistSeq;
+  const entries = parseDecklist(document.getElementById('decklistInput').value).slice(0, 1000);
+  decklistEntries = [];
+  renderDecklist();
+  if (entries.length === 0) return;
+  document.getElementById('decklistStatus').textContent = `Pricing ${entries.length} lines…`;
+  await priceDeckEntries(entries);
+  if (seq !== decklistSeq) return;
+  decklistEntries = entries;
+  renderDecklist();
+  findDecklistSwaps(seq);
+}
+
+/** Re-price one corrected line and write the fix back into the pasted list */
+async function retryDeckLine(lineNo, text) {
+  const entry = decklistEntries.find(e => e.lineNo === lineNo);
+  const card = parseDeckLine(text.trim());
+  if (!entry || !card) return;
+  const oldText = entry.text;
+  Object.assign(entry, card, { text: text.trim(), section: card.sideboard ? 'Sideboard' : entry.section });
+  await priceDeckEntries([entry]);
+
+  // Write the fix back unless the textarea was edited since pricing
+  const input = document.getElementById('decklistInput');
+  const lines = input.value.split(/\r?\n/);
+  if (lines[lineNo]?.trim() === oldText) {
+    lines[lineNo] = entry.text;
+    input.value = lines.join('\n');
+  }
+  renderDecklist();
+  findDecklistSwaps(decklistSeq);
+}
+
+function showDecklistPanel(show) {
+  document.getElementById('decklistPanel').style.display = show ? 'block' : 'none';
+  document.getElementById('decklistBtn').classList.toggle('active', show);
+  if (show) document.getElementById('decklistInput').focus();
+}
+
+(function initDecklist() {
+  const panel = document.getElementById('decklistPanel');
+  const btn = document.getElementById('decklistBtn');
+  if (!panel || !btn) return;
+
+  btn.addEventListener('click', () => showDecklistPanel(panel.style.display === 'none'));
+  document.getElementById('decklistPrice').addEventListener('click', priceDecklist);
+  document.getElementById('decklistClear').addEventListener('click', () => {
+    decklistSeq++;
+    document.getElementById('decklistInput').value = '';
+    decklistEntries = [];
+    renderDecklist();
+  });
+
+  const resultEl = document.getElementById('decklistResult');
+  const retry = (fix) => retryDeckLine(parseInt(fix.dataset.line), fix.querySelector('input').value);
+  resultEl.addEventListener('click', (e) => {
+    const fix = e.target.closest('.decklist-fix');
+    if (fix && e.target.tagName === 'BUTTON') retry(fix);
+  });
+  resultEl.addEventListener('keydown', (e) => {
+    const fix = e.target.closest('.decklist-fix');
+    if (fix && e.key === 'Enter') retry(fix);
+  });
+})();
+
+// ─── COLLECTION PAGE ───
+(function initCollectionButton() {
+  const btn = document.getElementById('collectionBtn');
+  if (!btn) return;
+  btn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/collection.html') });
+    window.close();
+  });
+})();
+
 // ─── HOVER TOGGLE ───
 (function initHoverToggle() {
   const toggle = document.getElementById('hoverToggle');
@@ -500,6 +1469,144 @@ function capitalize(str) {
   });
 })();
 
+// ─── DECK PANEL TOGGLE ───
+(function initDeckPanelToggle() {
+  const toggle = document.getElementById('deckPanelToggle');
+  if (!toggle) return;
+
+  chrome.storage.local.get('deckPanelEnabled', (data) => {
+    toggle.checked = data.deckPanelEnabled !== false; // default: enabled
+  });
+
+  toggle.addEventListener('change', () => {
+    chrome.storage.local.set({ deckPanelEnabled: toggle.checked });
+  });
+})();
+
+// ─── OMNIBOX TARGET ("mtg <card>" in the address bar) ───
+(function initOmniboxTarget() {
+  const select = document.getElementById('omniboxTargetSelect');
+  if (!select) return;
+
+  chrome.storage.local.get('omniboxTarget', (data) => {
+    if (data.omniboxTarget) select.value = data.omniboxTarget;
+  });
+
+  select.addEventListener('change', () => {
+    chrome.storage.local.set({ omniboxTarget: select.value });
+  });
+})();
+
+// ─── OFFLINE CARD DATA (opt-in, default: off) ───
+// The background downloads/clears the data when the setting changes
+// and reports progress through 'offlineStatus'.
+(function initOfflineToggle() {
+  const toggle = document.getElementById('offlineToggle');
+  const statusEl = document.getElementById('offlineStatus');
+  if (!toggle || !statusEl) return;
+
+  function renderStatus(status) {
+    let text = '';
+    if (toggle.checked) {
+      if (status?.state === 'ready') {
+        text = `${status.count.toLocaleString()} cards · updated ${new Date(status.updatedAt).toLocaleDateString()}`;
+      } else if (status?.state === 'error') {
+        text = 'Download failed — using the Scryfall API until the next try';
+      } else if (status?.state === 'downloading') {
+        text = `Downloading card data… ${status.progress}%`;
+      } else {
+        text = 'Starting download (~100 MB stored locally)';
+      }
+    }
+    statusEl.textContent = text;
+    statusEl.style.display = text ? 'block' : 'none';
+  }
+
+  chrome.storage.local.get(['offlineMode', 'offlineStatus'], (data) => {
+    toggle.checked = data.offlineMode === true;
+    renderStatus(data.offlineStatus);
+  });
+
+  toggle.addEventListener('change', () => {
+    chrome.storage.local.set({ offlineMode: toggle.checked });
+    renderStatus(null);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.offlineStatus) renderStatus(changes.offlineStatus.newValue);
+  });
+})();
+
+// ─── [[CARD NAME]] SITES (opt-in, one host permission per site) ───
+// The background registers content.js on the granted hosts (syncBracketScript),
+// where it scans page text for [[Card Name]] and [[Card Name|SET]] tokens.
+(function initBracketSites() {
+  const input = document.getElementById('bracketSiteInput');
+  const addBtn = document.getElementById('bracketSiteAdd');
+  const noteEl = document.getElementById('bracketSiteNote');
+  const list = document.getElementById('bracketSiteList');
+  if (!input || !addBtn || !noteEl || !list) return;
+
+  // Sites with a full config in content.js already scan for [[...]] where it makes sense
+  const builtIn = chrome.runtime.getManifest().content_scripts.flatMap(cs => cs.matches);
+
+  function siteHost(value) {
+    try {
+      const host = new URL(value.includes('://') ? value : 'https://' + value).hostname.toLowerCase();
+      return host.includes('.') ? host : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function showNote(text) {
+    noteEl.textContent = text;
+    noteEl.style.display = text ? 'block' : 'none';
+  }
+
+  function render(sites) {
+    list.innerHTML = sites.length > 0
+      ? sites.map(host => `<div class="alert-row"><span class="alert-text">${escapeHtml(host)}</span>` +
+          `<button class="alert-remove" data-host="${escapeHtml(host)}" title="Remove site">✕</button></div>`).join('')
+      : '<div class="alert-empty">No sites yet — e.g. discord.com or your forum</div>';
+  }
+
+  chrome.storage.local.get('bracketSites', (data) => render(data.bracketSites || []));
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.bracketSites) render(changes.bracketSites.newValue || []);
+  });
+
+  function add() {
+    const host = siteHost(input.value.trim());
+    if (!host) return showNote('Enter a site address like forum.example.com');
+    const origin = `https://${host}/*`;
+    if (builtIn.includes(origin)) return showNote(host + ' is already supported');
+    showNote('');
+
+    // Requested straight from the click — Firefox rejects permission prompts outside user input.
+    // The background adds granted hosts to 'bracketSites' (permissions.onAdded)
+    chrome.permissions.request({ origins: [origin] }).then((granted) => {
+      if (!granted) return showNote('Permission for ' + host + ' was not granted');
+      input.value = '';
+    });
+  }
+
+  addBtn.addEventListener('click', add);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') add();
+  });
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('.alert-remove');
+    if (!btn) return;
+    const host = btn.dataset.host;
+    chrome.permissions.remove({ origins: [`https://${host}/*`] });
+    chrome.storage.local.get('bracketSites', (data) => {
+      chrome.storage.local.set({ bracketSites: (data.bracketSites || []).filter(h => h !== host) });
+    });
+  });
+})();
+
 // ─── ERROR TRACKING TOGGLE (opt-in, default: off) ───
 (function initErrorTrackingToggle() {
   const toggle = document.getElementById('errorTrackingToggle');
@@ -516,6 +1623,158 @@ function capitalize(str) {
   });
 })();
 
+// ─── CURRENCY ───
+(function initCurrency() {
+  const primarySelect = document.getElementById('currencySelect');
+  const secondarySelect = document.getElementById('secondaryCurrencySelect');
+  if (!primarySelect || !secondarySelect) return;
+
+  primarySelect.options[0].textContent = 'Auto (' + MTGCurrency.detect() + ')';
+  for (const select of [primarySelect, secondarySelect]) {
+    for (const cur of MTGCurrency.CURRENCIES) select.add(new Option(cur, cur));
+  }
+
+  chrome.storage.local.get(['currency', 'secondaryCurrency'], (data) => {
+    primarySelect.value = data.currency || '';
+    secondarySelect.value = data.secondaryCurrency || '';
+  });
+
+  const save = async () => {
+    await chrome.storage.local.set({ currency: primarySelect.value, secondaryCurrency: secondarySelect.value });
+    await loadCurrency();
+    if (resultData) renderResult(resultData);
+    if (document.getElementById('tradePanel').style.display !== 'none') renderTrade();
+  };
+  primarySelect.addEventListener('change', save);
+  secondarySelect.addEventListener('change', save);
+})();
+
+// ─── CONDITION & LANGUAGE (result view selectors, default: NM English) ───
+(function initCondition() {
+  const conditionSelect = document.getElementById('conditionSelect');
+  const languageSelect = document.getElementById('languageSelect');
+  if (!conditionSelect || !languageSelect) return;
+
+  for (const [code, label] of Object.entries(PRICE_CONDITIONS)) {
+    const option = new Option(code, code);
+    option.title = label;
+    conditionSelect.add(option);
+  }
+  for (const [code, label] of Object.entries(PRICE_LANGUAGES)) languageSelect.add(new Option(label, code));
+
+  chrome.storage.local.get(['priceCondition', 'priceLanguage'], (data) => {
+    priceCondition = data.priceCondition || 'NM';
+    priceLanguage = data.priceLanguage || 'en';
+  });
+
+  const save = () => {
+    priceCondition = conditionSelect.value;
+    priceLanguage = languageSelect.value;
+    chrome.storage.local.set({ priceCondition, priceLanguage });
+    // Re-price the printing on screen
+    if (resultData?.condition) fetchPrinting(resultData.setCode, resultData.collectorNumber);
+  };
+  conditionSelect.addEventListener('change', save);
+  languageSelect.addEventListener('change', save);
+})();
+
+// ─── PRICE MULTIPLIERS (settings; empty = background default) ───
+(function initPriceMultipliers() {
+  const conditionGrid = document.getElementById('conditionMultipliers');
+  const languageGrid = document.getElementById('languageMultipliers');
+  if (!conditionGrid || !languageGrid) return;
+
+  // One "LP [ 85 ]%" input per grade/language, NM English being 100% by definition
+  function renderGrid(grid, labels, defaults, overrides, storageKey) {
+    grid.innerHTML = Object.keys(defaults).filter(code => defaults[code] !== 1 || code in overrides).map(code => `
+      <label title="${escapeHtml(labels[code] || code)}">${escapeHtml(code.toUpperCase())}
+        <input type="number" class="set-input" min="0" max="300" step="1" data-code="${escapeHtml(code)}"
+          placeholder="${Math.round(defaults[code] * 100)}"
+          value="${code in overrides ? Math.round(overrides[code] * 100) : ''}" />%
+      </label>`).join('');
+    grid.addEventListener('change', () => {
+      const values = {};
+      for (const input of grid.querySelectorAll('input')) {
+        const pct = parseFloat(input.value);
+        if (pct >= 0) values[input.dataset.code] = pct / 100;
+      }
+      chrome.storage.local.set({ [storageKey]: values });
+    });
+  }
+
+  Promise.all([
+    chrome.runtime.sendMessage({ type: 'GET_PRICE_MULTIPLIERS' }),
+    chrome.storage.local.get(['conditionMultipliers', 'languageMultipliers'])
+  ]).then(([res, stored]) => {
+    if (!res?.success) return;
+    renderGrid(conditionGrid, PRICE_CONDITIONS, res.defaults.conditions, stored.conditionMultipliers || {}, 'conditionMultipliers');
+    renderGrid(languageGrid, PRICE_LANGUAGES, res.defaults.languages, stored.languageMultipliers || {}, 'languageMultipliers');
+  }).catch(() => { /* background not ready; section stays empty */ });
+})();
+
+// ─── BUDGET ALTERNATIVES THRESHOLD (USD, default: off) ───
+(function initBudgetThreshold() {
+  const input = document.getElementById('budgetThresholdInput');
+  if (!input) return;
+
+  chrome.storage.local.get('budgetThreshold', (data) => {
+    budgetThreshold = data.budgetThreshold ?? MTGBudget.DEFAULT_THRESHOLD;
+    if (data.budgetThreshold != null) input.value = data.budgetThreshold;
+  });
+
+  // An empty field goes back to the default (off)
+  input.addEventListener('change', () => {
+    const value = parseFloat(input.value);
+    budgetThreshold = value >= 0 ? value : MTGBudget.DEFAULT_THRESHOLD;
+    decklistSwaps.clear();
+    if (value >= 0) chrome.storage.local.set({ budgetThreshold: value });
+    else chrome.storage.local.remove('budgetThreshold');
+  });
+})();
+
+// ─── PRICE GUIDES (bulk downloads, default: off) ───
+/**
+ * Wire a price guide's settings toggle and the status note under it.
+ * `settingKey`/`statusKey` match the guide's entry in background.js PRICE_GUIDES.
+ */
+function initPriceGuideToggle(toggleId, statusId, settingKey, statusKey, unit) {
+  const toggle = document.getElementById(toggleId);
+  const statusEl = document.getElementById(statusId);
+  if (!toggle || !statusEl) return;
+
+  function renderStatus(status) {
+    let text = '';
+    if (toggle.checked) {
+      if (status?.count) {
+        text = `${status.count.toLocaleString()} ${unit} · price guide of ${new Date(status.createdAt || status.updatedAt).toLocaleDateString()}`;
+      } else if (status?.state === 'error') {
+        text = 'Price guide download failed — retrying tomorrow';
+      } else {
+        text = 'Price guide downloads with the next card lookup';
+      }
+    }
+    statusEl.textContent = text;
+    statusEl.style.display = text ? 'block' : 'none';
+  }
+
+  chrome.storage.local.get([settingKey, statusKey], (data) => {
+    toggle.checked = data[settingKey] === true;
+    renderStatus(data[statusKey]);
+  });
+
+  toggle.addEventListener('change', () => {
+    chrome.storage.local.set({ [settingKey]: toggle.checked });
+    renderStatus(null);
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[statusKey]) renderStatus(changes[statusKey].newValue);
+  });
+}
+
+initPriceGuideToggle('cardmarketPricesToggle', 'cardmarketStatus', 'cardmarketPrices', 'cardmarketGuide', 'products');
+initPriceGuideToggle('cardkingdomPricesToggle', 'cardkingdomStatus', 'cardkingdomPrices', 'cardkingdomGuide', 'cards');
+
 // ─── SELLER COUNTRY (Cardmarket filter) ───
 let sellerCountry = '';
 
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'cardkingdom-pricelist.json'), 'utf8');
+const BOLT = 'a6e0a2e8-0c36-4f1b-b6d1-4c0b0d7b0f01';
+const COUNTERSPELL = '5f2a8c3e-9d41-4c6e-8a7b-3e1d2c4b5a02';
+
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'chrome', 'manifest.json'), 'utf8'));
+
+/**
+ * Any chrome.* API: property reads return another stub (or the given
+ * override), calls resolve to {}. Enough for background.js to run its
+ * top-level setup.
+ */
+function chromeStub(overrides = {}) {
+  return new Proxy(function () {}, {
+    get: (target, prop) => (prop === 'then' ? undefined : prop in overrides ? overrides[prop] : chromeStub()),
+    apply: () => Promise.resolve({})
+  });
+}
+
+function loadBackground() {
+  const src = fs.readFileSync(path.join(__dirname, '..', 'shared', 'src', 'background.js'), 'utf8');
+  const context = vm.createContext({
+    chrome: chromeStub({ runtime: chromeStub({ getManifest: () => MANIFEST }) }),
+    navigator: { userAgent: 'Chrome' },
+    console: { log() {}, warn() {}, error() {} },
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    fetch: () => Promise.reject(new Error('offline')),
+    Response, TextDecoder, URL, URLSearchParams
+  });
+  context.self = context;
+  context.self.addEventListener = () => {};
+  return vm.runInContext(`${src}\n;({ streamJsonArray, foldCardKingdomRow, PRICE_GUIDES })`, context);
+}
+
+const bg = loadBackground();
+
+/** A response whose body arrives in `size`-byte chunks, splitting rows mid-way. */
+function chunkedResponse(text, size) {
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  return new Response(new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) return controller.close();
+      controller.enqueue(bytes.slice(offset, offset += size));
+    }
+  }));
+}
+
+async function readGuide(guide, res) {
+  let head = '';
+  const rows = [];
+  for await (const row of bg.streamJsonArray(res, (bytes, text) => { head += text; }, guide.rowLevel)) rows.push(row);
+  return { rows, createdAt: head.match(guide.createdAt)?.[1] || null };
+}
+
+/** Fold rows into entries by key, as syncPriceGuide does. */
+function foldRows(guide, rows) {
+  const entries = new Map();
+  for (const row of rows) {
+    const key = guide.key(row);
+    if (key != null) entries.set(key, guide.fold(entries.get(key), row));
+  }
+  return entries;
+}
+
+test('streams the pricelist rows, not the meta object', async () => {
+  const guide = bg.PRICE_GUIDES.cardkingdom;
+  for (const size of [7, 64, FIXTURE.length]) {
+    const { rows, createdAt } = await readGuide(guide, chunkedResponse(FIXTURE, size));
+    assert.deepStrictEqual(rows.map(r => r.id), [1001, 1002, 1003, 1004]);
+    assert.strictEqual(createdAt, '2026-10-19 03:00:00');
+  }
+});
+
+test('folds foil and non-foil rows of one card into one entry', async () => {
+  const guide = bg.PRICE_GUIDES.cardkingdom;
+  const { rows } = await readGuide(guide, chunkedResponse(FIXTURE, 64));
+  const entries = foldRows(guide, rows);
+
+  assert.strictEqual(entries.size, 2); // The row without a Scryfall ID is skipped
+  assert.deepStrictEqual({ ...entries.get(BOLT) }, {
+    scryfallId: BOLT, retail: 2.49, buy: 1.2, retailFoil: 9.99, buyFoil: null
+  });
+  assert.deepStrictEqual({ ...entries.get(COUNTERSPELL) }, {
+    scryfallId: COUNTERSPELL, retail: null, buy: null, retailFoil: 4, buyFoil: 2
+  });
+});
+
+test('has no buy price while Card Kingdom is not buying', () => {
+  const row = { scryfall_id: BOLT, is_foil: 'false', price_retail: '2.49', price_buy: '1.20', qty_buying: 0 };
+  assert.strictEqual(bg.foldCardKingdomRow(undefined, row).buy, null);
+  assert.strictEqual(bg.foldCardKingdomRow(undefined, { ...row, qty_buying: 5 }).buy, 1.2);
+});
+
+test('folds onto an entry stored by an earlier batch', () => {
+  const stored = { scryfallId: BOLT, retail: 2.49, buy: 1.2, retailFoil: null, buyFoil: null };
+  const row = { scryfall_id: BOLT, is_foil: 'true', price_retail: '9.99', price_buy: '5.00', qty_buying: 2 };
+  assert.deepStrictEqual({ ...bg.foldCardKingdomRow(stored, row) }, {
+    scryfallId: BOLT, retail: 2.49, buy: 1.2, retailFoil: 9.99, buyFoil: 5
+  });
+});
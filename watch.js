@@ -16,11 +16,18 @@ const WATCH_FILES = {
   'content.js': 'content.js',
   'content': 'content.js',
   'content.css': 'content.css',
+  'currency.js': 'currency.js',
+  'budget.js': 'budget.js',
+  'legality.js': 'legality.js',
+  'history.js': 'history.js',
   'background.js': 'background.js',
   'background': 'background.js',
   'popup.html': 'popup.html',
   'popup.js': 'popup.js',
-  'popup': 'popup.js'
+  'popup': 'popup.js',
+  'collection.html': 'collection.html',
+  'collection.js': 'collection.js',
+  'collection': 'collection.js'
 };
 
 // ZIP patterns to watch for